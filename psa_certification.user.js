@@ -5,18 +5,63 @@
 // @description  Extracts PSA certification numbers from eBay listings and displays PSA price data
 // @author       You
 // @match        https://www.ebay.com/itm/*
+// @match        https://www.ebay.com/sch/*
+// @match        https://www.ebay.com/b/*
+// @match        https://www.ebay.co.uk/itm/*
+// @match        https://www.ebay.co.uk/sch/*
+// @match        https://www.ebay.co.uk/b/*
+// @match        https://www.ebay.de/itm/*
+// @match        https://www.ebay.de/sch/*
+// @match        https://www.ebay.de/b/*
+// @match        https://www.ebay.ca/itm/*
+// @match        https://www.ebay.ca/sch/*
+// @match        https://www.ebay.ca/b/*
+// @match        https://www.ebay.com.au/itm/*
+// @match        https://www.ebay.com.au/sch/*
+// @match        https://www.ebay.com.au/b/*
+// @match        https://www.ebay.fr/itm/*
+// @match        https://www.ebay.fr/sch/*
+// @match        https://www.ebay.fr/b/*
+// @match        https://www.ebay.it/itm/*
+// @match        https://www.ebay.it/sch/*
+// @match        https://www.ebay.it/b/*
+// @match        https://www.ebay.es/itm/*
+// @match        https://www.ebay.es/sch/*
+// @match        https://www.ebay.es/b/*
 // @grant        GM_xmlhttpRequest
 // @grant        GM_setValue
 // @grant        GM_getValue
 // @grant        GM_deleteValue
 // @grant        GM_listValues
+// @grant        GM_notification
+// @grant        GM_registerMenuCommand
+// @grant        GM_getResourceURL
+// @grant        GM_getResourceText
+// @connect      www.ebay.com
+// @connect      www.ebay.co.uk
+// @connect      www.ebay.de
+// @connect      www.ebay.ca
+// @connect      www.ebay.com.au
+// @connect      www.ebay.fr
+// @connect      www.ebay.it
+// @connect      www.ebay.es
 // @connect      www.psacard.com
+// @connect      www.beckett.com
+// @connect      www.gosgc.com
+// @connect      www.cgccards.com
+// @connect      i.ebayimg.com
+// @connect      ebaydesc.com
+// @resource     tesseractLib https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/tesseract.min.js
+// @resource     tesseractWorker https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/worker.min.js
+// @resource     tesseractCore https://cdn.jsdelivr.net/npm/tesseract.js-core@5.1.1/tesseract-core-lstm.wasm.js
+// @resource     tesseractEng https://cdn.jsdelivr.net/npm/@tesseract.js-data/eng@1.0.0/4.0.0_best_int/eng.traineddata.gz
 // ==/UserScript==
 
 (function() {
     'use strict';
     
-    // Cache configuration
+    // Cache configuration. expirationTime and maxItems are overwritten from the user's
+    // settings at startup (see SettingsManager.applyToConfig).
     const CACHE_CONFIG = {
         // Cache expiration time in milliseconds (default: 7 days)
         expirationTime: 7 * 24 * 60 * 60 * 1000,
@@ -25,19 +70,406 @@
         maxItems: 100,
         
         // Cache key prefix
-        keyPrefix: 'psa_cert_data_'
+        keyPrefix: 'psa_cert_data_',
+        
+        // Format version of cached cert data. Entries saved by older versions are
+        // migrated when they are read (see CacheManager.migrateEntry).
+        schemaVersion: 2,
+        
+        // Parsed PSA data is only used and cached when its grade, prices or population came
+        // from a parser strategy at least this confident. The fallback strategies below it
+        // pick up stray numbers when psacard.com changes its markup.
+        minParseConfidence: 0.6
+    };
+    
+    // Search results configuration
+    const SEARCH_CONFIG = {
+        // Maximum number of PSA requests allowed in flight at once
+        maxConcurrentRequests: 3,
+        
+        // Result cards on search (/sch/) and category (/b/) pages
+        resultSelector: 'li.s-item, li.s-card'
+    };
+    
+    // Page readiness and navigation configuration
+    const PAGE_CONFIG = {
+        // Containers a listing page must have rendered before it is read
+        readySelectors: {
+            title: '.x-item-title__mainTitle',
+            price: '.x-price-primary, .x-bid-price, [itemprop="price"]',
+            specifics: '.ux-layout-section-evo--features, .ux-layout-section--features'
+        },
+        
+        // Run anyway with whatever has rendered after this long (default: 10 seconds)
+        readyTimeout: 10000,
+        
+        // Check the URL at most this often while the page is changing (milliseconds)
+        navigationCheckInterval: 300,
+        
+        // Elements the script adds to a listing page, removed when the listing changes
+        panelIds: ['psa-data-container', 'psa-data-loading', 'psa-data-error', 'psa-manual-entry']
+    };
+    
+    // Cert number detection configuration (see CertDetector)
+    const DETECTION_CONFIG = {
+        // Skip the detectors that click things on the page when a passive detector found a
+        // candidate at least this confident
+        acceptConfidence: 0.8,
+        
+        // Added to a candidate's confidence for each extra place the same cert was found
+        agreementBonus: 0.05,
+        
+        // How long to wait for the "Check PSA data" panel to show a cert number (milliseconds)
+        modalTimeout: 3000,
+        
+        // Titles of listings selling several slabs at once ("Lot of 5 PSA 10", "3 card lot")
+        lotTitlePattern: /\blot\b|\bbundle\b|\bset\s+of\s+\d+|\b\d+\s*(?:cards|slabs)\b/i,
+        
+        // Most cert numbers to look up for one lot listing
+        maxLotCerts: 20,
+        
+        // Only matches at least this confident, from detectors that read the listing itself,
+        // count towards a lot's value. Weaker ones (bare numbers in unlabelled fields or the
+        // page text) can come from other listings shown on the page, so they are only
+        // offered in the chooser.
+        minLotCertConfidence: 0.45,
+        
+        // How long to wait for the item description from ebaydesc.com (milliseconds). It is
+        // fetched once, without retries, so a slow host doesn't hold up detection.
+        descriptionTimeout: 5000
+    };
+    
+    // Listing photo OCR configuration (see PhotoOCR). Only used when the enablePhotoOcr
+    // setting is on and nothing else on the page gave a cert number.
+    const OCR_CONFIG = {
+        // Number of gallery photos to read, starting with the main one
+        maxImages: 3,
+        
+        // Parts of a photo to read, as fractions of its size. Slab labels sit at the top of
+        // the slab, which fills most of a typical listing photo.
+        labelRegions: [
+            { x: 0, y: 0, width: 1, height: 0.35 },
+            { x: 0, y: 0, width: 1, height: 1 }
+        ],
+        
+        // Small label text reads better when the crop is scaled up first
+        scale: 2,
+        
+        // Give up on a photo that takes longer than this to read (milliseconds)
+        imageTimeout: 20000
+    };
+    
+    // Grader website request configuration
+    const REQUEST_CONFIG = {
+        // How many times a rate-limited, failing or timed-out request is retried
+        maxRetries: 3,
+
+        // First retry delay in milliseconds; doubles on every further retry
+        baseRetryDelay: 2000,
+
+        // Upper bound for a single retry delay (also caps Retry-After)
+        maxRetryDelay: 60000,
+
+        // Minimum gap between any two requests to grader websites
+        minRequestInterval: 1500,
+
+        // Request timeout in milliseconds
+        timeout: 30000
+    };
+
+    // Error types passed to onError callbacks (see createFetchError)
+    const FETCH_ERRORS = {
+        NOT_FOUND: 'not_found',
+        RATE_LIMITED: 'rate_limited',
+        BLOCKED: 'blocked',
+        LOGIN_REQUIRED: 'login_required',
+        NO_DATA: 'no_data',
+        NETWORK: 'network',
+        SERVER: 'server'
+    };
+
+    // Grade model. Besides the numeric grade (half grades included) a slab can carry a
+    // qualifier, or be certified authentic only, possibly altered (see parseGrade).
+    const GRADE_CONFIG = {
+        // Qualifier codes PSA appends to a numeric grade: off center, marks, stain,
+        // print defect, out of focus and miscut
+        qualifiers: ['OC', 'MK', 'ST', 'PD', 'OF', 'MC']
+    };
+    
+    // Population report configuration
+    const POPULATION_CONFIG = {
+        // Population counts from parser strategies below this confidence are flagged as
+        // low-confidence in the panel (the label-text and proximity-scoring fallbacks)
+        lowConfidenceThreshold: 0.5
+    };
+    
+    // Price history configuration
+    const HISTORY_CONFIG = {
+        // Maximum number of snapshots to keep per cert (oldest are dropped first)
+        maxSnapshots: 50,
+        
+        // History key prefix
+        keyPrefix: 'psa_cert_history_'
+    };
+    
+    // Watchlist configuration
+    const WATCHLIST_CONFIG = {
+        // How long before a watched cert is re-checked (default: 12 hours)
+        recheckInterval: 12 * 60 * 60 * 1000,
+        
+        // Alert when the estimate moves by more than this percentage (set from settings)
+        estimateChangeThreshold: 10,
+        
+        // Watchlist storage key
+        storageKey: 'psa_watchlist'
+    };
+    
+    // Collection (portfolio) configuration
+    const COLLECTION_CONFIG = {
+        // Valuations older than this are refreshed from the "Refresh Stale" button
+        // (default: 7 days, the same as the cache)
+        staleAfter: 7 * 24 * 60 * 60 * 1000,
+        
+        // Collection storage key
+        storageKey: 'psa_collection'
+    };
+    
+    // Listing currencies. Prices are compared in US dollars: eBay's own "approximately
+    // US $" conversion is used when the page shows one, otherwise the rates from the
+    // settings dialog. Rates implied by eBay's conversions are cached under storageKey
+    // and preferred over the settings while they are fresh.
+    const CURRENCY_CONFIG = {
+        // Currency of prices with a bare "$" or no currency marker, by eBay site
+        siteCurrencies: {
+            'www.ebay.com': 'USD',
+            'www.ebay.co.uk': 'GBP',
+            'www.ebay.de': 'EUR',
+            'www.ebay.ca': 'CAD',
+            'www.ebay.com.au': 'AUD',
+            'www.ebay.fr': 'EUR',
+            'www.ebay.it': 'EUR',
+            'www.ebay.es': 'EUR'
+        },
+        
+        // Currency markers as eBay prints them, checked in order
+        markers: [
+            { currency: 'USD', pattern: /US\s?\$|\bUSD\b/ },
+            { currency: 'CAD', pattern: /C\s?\$|\bCAD\b/ },
+            { currency: 'AUD', pattern: /AU?\s?\$|\bAUD\b/ },
+            { currency: 'GBP', pattern: /£|\bGBP\b/ },
+            { currency: 'EUR', pattern: /€|\bEUR\b/ }
+        ],
+        
+        // How long a rate learned from an eBay page beats the settings (default: 3 days)
+        learnedRateMaxAge: 3 * 24 * 60 * 60 * 1000,
+        
+        // Learned rates storage key
+        storageKey: 'psa_exchange_rates'
+    };
+    
+    // User-editable settings. Values are stored with GM_setValue under storageKey so they
+    // survive script updates; each field declares its type, default and allowed range.
+    const SETTINGS_CONFIG = {
+        storageKey: 'psa_settings',
+        
+        fields: {
+            cacheExpirationDays: {
+                label: 'Cache expiration (days)',
+                type: 'number',
+                default: 7,
+                min: 0.01,
+                max: 365
+            },
+            maxCacheItems: {
+                label: 'Maximum cached certs',
+                type: 'integer',
+                default: 100,
+                min: 1,
+                max: 5000
+            },
+            moderateThreshold: {
+                label: 'Moderately over/underpriced beyond (%)',
+                type: 'number',
+                default: 5,
+                min: 0,
+                max: 1000
+            },
+            significantThreshold: {
+                label: 'Significantly over/underpriced beyond (%)',
+                type: 'number',
+                default: 20,
+                min: 0,
+                max: 1000
+            },
+            panelPlacement: {
+                label: 'Panel placement',
+                type: 'select',
+                default: 'afterPrice',
+                options: {
+                    afterPrice: 'After the price',
+                    afterCondition: 'After the item condition',
+                    rightPanelTop: 'Top of the right-hand panel',
+                    rightPanelBottom: 'Bottom of the right-hand panel'
+                }
+            },
+            watchlistChangeThreshold: {
+                label: 'Watchlist estimate alert (% change)',
+                type: 'number',
+                default: 10,
+                min: 0.1,
+                max: 1000
+            },
+            auctionBidMargin: {
+                label: 'Auction bid ceiling below estimate (%)',
+                type: 'number',
+                default: 10,
+                min: 0,
+                max: 90
+            },
+            salesTaxRate: {
+                label: 'Sales tax rate added to landed cost (%)',
+                type: 'number',
+                default: 0,
+                min: 0,
+                max: 50
+            },
+            exchangeRateGBP: {
+                label: 'US $ per 1 GBP',
+                type: 'number',
+                default: 1.27,
+                min: 0.0001,
+                max: 10000
+            },
+            exchangeRateEUR: {
+                label: 'US $ per 1 EUR',
+                type: 'number',
+                default: 1.08,
+                min: 0.0001,
+                max: 10000
+            },
+            exchangeRateCAD: {
+                label: 'US $ per 1 CAD',
+                type: 'number',
+                default: 0.73,
+                min: 0.0001,
+                max: 10000
+            },
+            exchangeRateAUD: {
+                label: 'US $ per 1 AUD',
+                type: 'number',
+                default: 0.66,
+                min: 0.0001,
+                max: 10000
+            },
+            enableSearchBadges: {
+                label: 'Annotate search and category results',
+                type: 'boolean',
+                default: true
+            },
+            enablePriceHistory: {
+                label: 'Show price history trend',
+                type: 'boolean',
+                default: true
+            },
+            enableWatchlist: {
+                label: 'Enable watchlist and alerts',
+                type: 'boolean',
+                default: true
+            },
+            enablePhotoOcr: {
+                label: 'Read cert numbers from listing photos (slow)',
+                type: 'boolean',
+                default: false
+            }
+        }
+    };
+    
+    // Supported grading companies. Each grader knows how to recognise its slabs, which
+    // cert numbers it issues, where to look a cert up and how to parse the lookup page.
+    // Every parser returns the same shape: certNumber, grader, cardName, cardDetails,
+    // grade, priceData and popData. priceData and popData are arrays of grade entries
+    // (see createGradeEntries).
+    const GRADERS = {
+        psa: {
+            id: 'psa',
+            name: 'PSA',
+            detectPattern: /\bPSA\b|Professional Sports Authenticator/i,
+            isLikelyCertNumber: isLikelyPSACertNumber,
+            getCertUrls: certNumber => [
+                `https://www.psacard.com/cert/${certNumber}/psa`,
+                `https://www.psacard.com/cert/${certNumber}`
+            ],
+            parseHTML: (html, certNumber) => PSAParser.parse(html, certNumber)
+        },
+        bgs: {
+            id: 'bgs',
+            name: 'BGS',
+            detectPattern: /\bBGS\b|\bBVG\b|Beckett/i,
+            // Beckett serial numbers are 7-10 digits, often with leading zeros
+            isLikelyCertNumber: number => /^\d{7,10}$/.test(number || ''),
+            getCertUrls: certNumber => [
+                `https://www.beckett.com/grading/card-lookup?item_type=BGS&item_id=${certNumber}`
+            ],
+            parseHTML: (html, certNumber) => extractGenericCertDataFromHTML(html, certNumber, GRADERS.bgs)
+        },
+        sgc: {
+            id: 'sgc',
+            name: 'SGC',
+            detectPattern: /\bSGC\b|Sportscard Guaranty/i,
+            // SGC cert numbers are 7-10 digits
+            isLikelyCertNumber: number => /^\d{7,10}$/.test(number || ''),
+            getCertUrls: certNumber => [
+                `https://www.gosgc.com/cert-code-lookup/${certNumber}`
+            ],
+            parseHTML: (html, certNumber) => extractGenericCertDataFromHTML(html, certNumber, GRADERS.sgc)
+        },
+        cgc: {
+            id: 'cgc',
+            name: 'CGC',
+            detectPattern: /\bCGC\b|Certified Guaranty/i,
+            // CGC cert numbers are 10 digits, sometimes written as 1234567-001
+            isLikelyCertNumber: number => /^\d{10}$/.test(number || ''),
+            getCertUrls: certNumber => [
+                `https://www.cgccards.com/certlookup/${certNumber}/`
+            ],
+            parseHTML: (html, certNumber) => extractGenericCertDataFromHTML(html, certNumber, GRADERS.cgc)
+        }
     };
     
+    /**
+     * Look up a grader by id, falling back to PSA for data cached before multi-grader support
+     * @param {string} graderId - Grader id from GRADERS
+     * @returns {object} Grader definition
+     */
+    function getGrader(graderId) {
+        return GRADERS[graderId] || GRADERS.psa;
+    }
+    
     // Cache management functions
     const CacheManager = {
+        /**
+         * Build the storage key for a cert
+         * @param {string} certNumber - Certification number
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
+         * @returns {string} Storage key
+         */
+        getKey: function(certNumber, graderId) {
+            // PSA keeps the original key format so existing caches stay valid
+            if (!graderId || graderId === 'psa') {
+                return CACHE_CONFIG.keyPrefix + certNumber;
+            }
+            return CACHE_CONFIG.keyPrefix + graderId + '_' + certNumber;
+        },
+        
         /**
          * Get data from cache
-         * @param {string} certNumber - PSA certification number
+         * @param {string} certNumber - Certification number
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
          * @returns {object|null} Cached data or null if not found/expired
          */
-        getData: function(certNumber) {
+        getData: function(certNumber, graderId) {
             try {
-                const key = CACHE_CONFIG.keyPrefix + certNumber;
+                const key = this.getKey(certNumber, graderId);
                 const cachedData = GM_getValue(key);
                 
                 if (!cachedData) return null;
@@ -45,12 +477,19 @@
                 // Check if data is expired
                 if (Date.now() > cachedData.expiration) {
                     console.log('Cache expired for cert:', certNumber);
-                    this.removeData(certNumber);
+                    this.removeData(certNumber, graderId);
                     return null;
                 }
                 
                 console.log('Cache hit for cert:', certNumber);
                 
+                // Bring entries saved by older versions up to date, once
+                if ((cachedData.schemaVersion || 1) < CACHE_CONFIG.schemaVersion) {
+                    const migrated = this.migrateEntry(cachedData);
+                    GM_setValue(key, migrated);
+                    return this.getData(certNumber, graderId);
+                }
+                
                 // Mark the data as coming from cache
                 const data = cachedData.data;
                 data._fromCache = true;
@@ -66,16 +505,18 @@
         
         /**
          * Save data to cache
-         * @param {string} certNumber - PSA certification number
+         * @param {string} certNumber - Certification number
          * @param {object} data - Data to cache
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
          */
-        saveData: function(certNumber, data) {
+        saveData: function(certNumber, data, graderId) {
             try {
-                const key = CACHE_CONFIG.keyPrefix + certNumber;
+                const key = this.getKey(certNumber, graderId);
                 const cacheEntry = {
                     data: data,
                     timestamp: Date.now(),
-                    expiration: Date.now() + CACHE_CONFIG.expirationTime
+                    expiration: Date.now() + CACHE_CONFIG.expirationTime,
+                    schemaVersion: CACHE_CONFIG.schemaVersion
                 };
                 
                 GM_setValue(key, cacheEntry);
@@ -88,13 +529,29 @@
             }
         },
         
+        /**
+         * Upgrade a cache entry saved by an older version of the script.
+         * Version 1 stored priceData and popData as label to text maps.
+         * @param {object} entry - Cache entry ({ data, timestamp, expiration })
+         * @returns {object} Entry in the current format
+         */
+        migrateEntry: function(entry) {
+            const data = Object.assign({}, entry.data);
+            data.priceData = normalizeGradeEntries(data.priceData, 'price', 'migrated', entry.timestamp);
+            data.popData = normalizeGradeEntries(data.popData, 'pop', 'migrated', entry.timestamp);
+            
+            console.log('Migrated cache entry for cert', data.certNumber, 'to schema version', CACHE_CONFIG.schemaVersion);
+            return Object.assign({}, entry, { data: data, schemaVersion: CACHE_CONFIG.schemaVersion });
+        },
+        
         /**
          * Remove data from cache
-         * @param {string} certNumber - PSA certification number
+         * @param {string} certNumber - Certification number
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
          */
-        removeData: function(certNumber) {
+        removeData: function(certNumber, graderId) {
             try {
-                const key = CACHE_CONFIG.keyPrefix + certNumber;
+                const key = this.getKey(certNumber, graderId);
                 GM_deleteValue(key);
                 console.log('Removed from cache:', certNumber);
             } catch (e) {
@@ -140,6 +597,80 @@
             }
         },
         
+        /**
+         * List every cache entry, including expired ones that haven't been cleaned up yet
+         * @returns {Array} Entries with key, certNumber, grader, cardName, grade, timestamp,
+         *                  expiration, isExpired and size (approximate bytes)
+         */
+        listEntries: function() {
+            try {
+                const now = Date.now();
+                const psaKeys = GM_listValues().filter(key => key.startsWith(CACHE_CONFIG.keyPrefix));
+                
+                return psaKeys.map(key => {
+                    const value = GM_getValue(key) || {};
+                    const data = value.data || {};
+                    
+                    return {
+                        key: key,
+                        certNumber: data.certNumber || parseStorageKey(key, CACHE_CONFIG.keyPrefix).certNumber,
+                        grader: data.grader || parseStorageKey(key, CACHE_CONFIG.keyPrefix).graderId,
+                        cardName: data.cardName || 'Unknown Card',
+                        grade: data.grade || 'Unknown Grade',
+                        timestamp: value.timestamp || 0,
+                        expiration: value.expiration || 0,
+                        isExpired: now > (value.expiration || 0),
+                        size: JSON.stringify(value).length
+                    };
+                });
+            } catch (e) {
+                console.error('Error listing cache entries:', e);
+                return [];
+            }
+        },
+        
+        /**
+         * Get a cache entry exactly as stored, for inspection
+         * @param {string} key - Storage key from listEntries
+         * @returns {object|null} Stored entry (data, timestamp, expiration, ...) or null
+         */
+        getStoredEntry: function(key) {
+            try {
+                return GM_getValue(key) || null;
+            } catch (e) {
+                console.error('Error reading cache entry:', e);
+                return null;
+            }
+        },
+        
+        /**
+         * Remove a cache entry by its storage key. Unlike removeData this doesn't rebuild the
+         * key from the entry's data, which may not match it (old or imported entries).
+         * @param {string} key - Storage key from listEntries
+         */
+        removeEntry: function(key) {
+            try {
+                GM_deleteValue(key);
+                console.log('Removed from cache:', key);
+            } catch (e) {
+                console.error('Error removing from cache:', e);
+            }
+        },
+        
+        /**
+         * Remove every expired entry
+         * @returns {number} Number of entries removed
+         */
+        removeExpired: function() {
+            const expired = this.listEntries().filter(entry => entry.isExpired);
+            expired.forEach(entry => {
+                GM_deleteValue(entry.key);
+            });
+            
+            console.log('Removed', expired.length, 'expired cache entries');
+            return expired.length;
+        },
+        
         /**
          * Clear all cached data
          */
@@ -159,1421 +690,4298 @@
         }
     };
 
-    // Wait for the page to fully load
-    window.addEventListener('load', function() {
-        // Wait a bit longer to ensure all eBay scripts have initialized
-        setTimeout(initScript, 2000);
-    });
-
-    function initScript() {
-        console.log('PSA Certification Lookup script initialized');
-        
-        // Check if this is a PSA graded item
-        const isPsaItem = checkIfPsaItem();
-        
-        if (!isPsaItem) {
-            console.log('This does not appear to be a PSA graded item');
-            return;
-        }
-        
-        // Find PSA certification number
-        const psaCertNumber = extractPSACertNumber();
-        
-        if (psaCertNumber) {
-            console.log('Found PSA certification number:', psaCertNumber);
-            fetchPSAData(psaCertNumber);
-        } else {
-            console.log('No PSA certification number found on this page');
-        }
-    }
-    
-    function checkIfPsaItem() {
-        // Check for PSA indicators in the page
-        
-        // Check for "Check PSA data" or "See all" button
-        const psaDataButton = document.querySelector('button[data-clientpresentationmetadata*="CARD_INSIGHTS_PSA"]') || 
-                              document.querySelector('button.fake-link[data-vi-tracking*="CLICK"]');
-        if (psaDataButton) return true;
+    // Settings functions
+    const SettingsManager = {
+        values: null,
         
-        // Check for PSA text in spans
-        const spans = document.querySelectorAll('.ux-textspans, span');
-        for (const span of spans) {
-            if (span.textContent.includes('PSA') || 
-                span.textContent.includes('Graded - PSA') || 
-                span.textContent.includes('Check PSA data')) {
-                return true;
+        /**
+         * Get the current settings, merged over the defaults
+         * @returns {object} Setting values keyed by field name
+         */
+        getAll: function() {
+            if (!this.values) {
+                const defaults = {};
+                for (const [name, field] of Object.entries(SETTINGS_CONFIG.fields)) {
+                    defaults[name] = field.default;
+                }
+                
+                let stored = {};
+                try {
+                    stored = GM_getValue(SETTINGS_CONFIG.storageKey) || {};
+                } catch (e) {
+                    console.error('Error reading settings:', e);
+                }
+                
+                // Ignore stored values that no longer validate (e.g. after a field changed)
+                const errors = this.validate(Object.assign({}, defaults, stored));
+                for (const name of Object.keys(errors)) {
+                    delete stored[name];
+                }
+                
+                this.values = Object.assign(defaults, stored);
             }
-        }
-        
-        // Check for PSA in item specifics
-        const itemSpecifics = document.querySelector('.ux-layout-section-evo--features');
-        if (itemSpecifics && itemSpecifics.textContent.includes('PSA')) {
-            return true;
-        }
-        
-        // Check title for PSA
-        const title = document.querySelector('.x-item-title__mainTitle');
-        if (title && title.textContent.includes('PSA')) {
-            return true;
-        }
-        
-        return false;
-    }
-
-    // Helper function to validate if a number is likely a PSA certification number
-    function isLikelyPSACertNumber(number) {
-        // PSA cert numbers are typically 8-10 digits
-        if (!number || typeof number !== 'string') return false;
-        
-        // Check length - PSA cert numbers are typically 8-10 digits
-        // eBay item numbers are typically 12 digits
-        if (number.length < 8 || number.length > 10) return false;
-        
-        // Check if it's all digits
-        if (!/^\d+$/.test(number)) return false;
-        
-        // Avoid common eBay item ID patterns
-        // eBay item IDs often start with specific digits like 1, 2, 3, or 4
-        // and are typically 12 digits long
-        if (number.length === 12 && /^[1-4]\d{11}$/.test(number)) return false;
-        
-        return true;
-    }
-    
-    function extractPSACertNumber() {
-        // Method -1: Check if there's a "Check PSA data" or "See all" link and try to click it first
-        // Find elements containing "Check PSA data" text without using :contains selector
-        let checkPsaDataLink = null;
+            
+            return this.values;
+        },
         
-        // First try to find by data attribute which is more reliable
-        checkPsaDataLink = document.querySelector('button[data-clientpresentationmetadata*="CARD_INSIGHTS_PSA"]');
+        /**
+         * Get a single setting
+         * @param {string} name - Field name from SETTINGS_CONFIG.fields
+         * @returns {*} Setting value
+         */
+        get: function(name) {
+            return this.getAll()[name];
+        },
         
-        // If not found, look for the new "See all" button with fake-link class that's specifically for PSA data
-        if (!checkPsaDataLink) {
-            // Look for all fake-link buttons
-            const fakeLinks = document.querySelectorAll('button.fake-link[data-vi-tracking*="CLICK"]');
+        /**
+         * Check a full set of setting values
+         * @param {object} values - Setting values keyed by field name
+         * @returns {object} Error messages keyed by field name (empty if everything is valid)
+         */
+        validate: function(values) {
+            const errors = {};
             
-            // Find the one that's related to PSA certification
-            for (const link of fakeLinks) {
-                // Check if this button or its parent container has PSA-related text
-                const buttonText = link.textContent.toLowerCase();
-                const parentText = link.parentElement ? link.parentElement.textContent.toLowerCase() : '';
-                const grandparentText = link.parentElement && link.parentElement.parentElement ? 
-                                        link.parentElement.parentElement.textContent.toLowerCase() : '';
-                
-                if (buttonText.includes('psa') || 
-                    buttonText.includes('cert') || 
-                    buttonText.includes('grade') || 
-                    parentText.includes('psa') || 
-                    parentText.includes('cert') || 
-                    parentText.includes('grade') || 
-                    grandparentText.includes('psa') || 
-                    grandparentText.includes('cert') || 
-                    grandparentText.includes('grade')) {
-                    
-                    checkPsaDataLink = link;
-                    console.log('Found PSA-related fake-link button:', buttonText);
-                    break;
-                }
+            for (const [name, field] of Object.entries(SETTINGS_CONFIG.fields)) {
+                const value = values[name];
                 
-                // If the button says "See all" and is near PSA text, it's likely the right one
-                if (buttonText.includes('see all')) {
-                    // Check if there's PSA text nearby
-                    const nearbyElements = getNearbyElements(link, 3);
-                    for (const elem of nearbyElements) {
-                        const elemText = elem.textContent.toLowerCase();
-                        if (elemText.includes('psa') || elemText.includes('cert') || elemText.includes('grade')) {
-                            checkPsaDataLink = link;
-                            console.log('Found "See all" button near PSA text');
-                            break;
-                        }
-                    }
-                    if (checkPsaDataLink) break;
+                if (field.type === 'boolean') {
+                    if (typeof value !== 'boolean') errors[name] = 'Must be on or off';
+                } else if (field.type === 'select') {
+                    if (!Object.prototype.hasOwnProperty.call(field.options, value)) errors[name] = 'Choose one of the options';
+                } else if (typeof value !== 'number' || isNaN(value)) {
+                    errors[name] = 'Must be a number';
+                } else if (field.type === 'integer' && !Number.isInteger(value)) {
+                    errors[name] = 'Must be a whole number';
+                } else if (value < field.min || value > field.max) {
+                    errors[name] = `Must be between ${field.min} and ${field.max}`;
                 }
             }
-        }
-        
-        // Helper function to get nearby elements
-        function getNearbyElements(element, depth) {
-            const result = [];
             
-            // Add siblings
-            let sibling = element.previousElementSibling;
-            while (sibling) {
-                result.push(sibling);
-                sibling = sibling.previousElementSibling;
+            if (!errors.moderateThreshold && !errors.significantThreshold &&
+                values.significantThreshold <= values.moderateThreshold) {
+                errors.significantThreshold = 'Must be higher than the moderate threshold';
             }
             
-            sibling = element.nextElementSibling;
-            while (sibling) {
-                result.push(sibling);
-                sibling = sibling.nextElementSibling;
+            return errors;
+        },
+        
+        /**
+         * Validate and store new settings
+         * @param {object} values - Setting values keyed by field name
+         * @returns {object} Error messages keyed by field name; nothing is saved if any exist
+         */
+        save: function(values) {
+            const errors = this.validate(values);
+            if (Object.keys(errors).length > 0) {
+                return errors;
             }
             
-            // Add parent and its siblings if depth allows
-            if (depth > 0 && element.parentElement) {
-                result.push(element.parentElement);
-                result.push(...getNearbyElements(element.parentElement, depth - 1));
+            try {
+                GM_setValue(SETTINGS_CONFIG.storageKey, values);
+                this.values = Object.assign({}, values);
+                this.applyToConfig();
+                console.log('Settings saved:', values);
+            } catch (e) {
+                console.error('Error saving settings:', e);
             }
             
-            return result;
-        }
+            return errors;
+        },
         
-        // Look for "See all" button specifically in item specifics section
-        if (!checkPsaDataLink) {
-            const itemSpecifics = document.querySelector('.ux-layout-section-evo--features');
-            if (itemSpecifics) {
-                const seeAllButtons = itemSpecifics.querySelectorAll('button.fake-link');
-                for (const button of seeAllButtons) {
-                    if (button.textContent.includes('See all')) {
-                        // Check if it's in a section related to grading or certification
-                        let parent = button.parentElement;
-                        let foundPSAContext = false;
-                        
-                        // Check up to 3 levels up for PSA context
-                        for (let i = 0; i < 3 && parent; i++) {
-                            const parentText = parent.textContent.toLowerCase();
-                            if (parentText.includes('psa') || 
-                                parentText.includes('cert') || 
-                                parentText.includes('grade') || 
-                                parentText.includes('authentication')) {
-                                foundPSAContext = true;
-                                break;
-                            }
-                            parent = parent.parentElement;
-                        }
-                        
-                        if (foundPSAContext) {
-                            checkPsaDataLink = button;
-                            console.log('Found "See all" button in PSA-related item specifics section');
-                            break;
-                        }
-                    }
-                }
-            }
+        /**
+         * Copy settings into the config objects the rest of the script reads
+         */
+        applyToConfig: function() {
+            CACHE_CONFIG.expirationTime = this.get('cacheExpirationDays') * 24 * 60 * 60 * 1000;
+            CACHE_CONFIG.maxItems = this.get('maxCacheItems');
+            WATCHLIST_CONFIG.estimateChangeThreshold = this.get('watchlistChangeThreshold');
         }
-        
-        // If not found, look for spans with the right text
-        if (!checkPsaDataLink) {
-            const spans = document.querySelectorAll('.ux-textspans--INLINE_LINK, span');
-            for (const span of spans) {
-                if (span.textContent.includes('Check PSA data') || span.textContent.includes('See all')) {
-                    // Check if this span is in a PSA-related context
-                    let parent = span.parentElement;
-                    let foundPSAContext = false;
-                    
-                    // Check up to 3 levels up for PSA context
-                    for (let i = 0; i < 3 && parent; i++) {
-                        const parentText = parent.textContent.toLowerCase();
-                        if (parentText.includes('psa') || 
-                            parentText.includes('cert') || 
-                            parentText.includes('grade') || 
-                            parentText.includes('authentication')) {
-                            foundPSAContext = true;
-                            break;
-                        }
-                        parent = parent.parentElement;
-                    }
-                    
-                    if (foundPSAContext || span.textContent.includes('PSA')) {
-                        checkPsaDataLink = span;
-                        console.log('Found span with PSA-related text:', span.textContent);
-                        break;
-                    }
-                }
+    };
+    
+    // Price history functions. Unlike the cache, history is append-only: every fresh
+    // fetch adds a dated snapshot of the price and population data for the cert.
+    const HistoryManager = {
+        /**
+         * Build the storage key for a cert's history
+         * @param {string} certNumber - Certification number
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
+         * @returns {string} Storage key
+         */
+        getKey: function(certNumber, graderId) {
+            if (!graderId || graderId === 'psa') {
+                return HISTORY_CONFIG.keyPrefix + certNumber;
             }
-        }
-                           
-        if (checkPsaDataLink) {
-            console.log('Found "Check PSA data" link, attempting to click it to reveal cert number');
-            
+            return HISTORY_CONFIG.keyPrefix + graderId + '_' + certNumber;
+        },
+        
+        /**
+         * Get the recorded snapshots for a cert
+         * @param {string} certNumber - Certification number
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
+         * @returns {Array} Snapshots ({ timestamp, priceData, popData }), oldest first
+         */
+        getHistory: function(certNumber, graderId) {
             try {
-                // Try clicking the link to reveal the PSA data
-                checkPsaDataLink.click();
-                
-                // Wait a short time for the data to load
-                setTimeout(function() {
-                    console.log('Checking for PSA cert number after clicking link');
-                    
-                    // After clicking, look for the cert number in the newly revealed content
-                    // Give more time for the modal to fully load and render
-                    setTimeout(function() {
-                        const certNumberAfterClick = findCertNumberInPage();
-                        if (certNumberAfterClick) {
-                            console.log('Found PSA cert after clicking:', certNumberAfterClick);
-                            
-                            // Close the modal/dialog after extracting the cert number
-                            closeModal();
-                            
-                            // Use the cert number to fetch PSA data
-                            fetchPSAData(certNumberAfterClick);
-                        } else {
-                            console.log('No PSA cert found after first attempt, trying again...');
-                            
-                            // Try one more time with a longer delay
-                            setTimeout(function() {
-                                const certNumberSecondAttempt = findCertNumberInPage();
-                                if (certNumberSecondAttempt) {
-                                    console.log('Found PSA cert on second attempt:', certNumberSecondAttempt);
-                                    
-                                    // Close the modal/dialog after extracting the cert number
-                                    closeModal();
-                                    
-                                    // Use the cert number to fetch PSA data
-                                    fetchPSAData(certNumberSecondAttempt);
-                                } else {
-                                    console.log('No PSA cert found after clicking link');
-                                    
-                                    // Close the modal/dialog even if no cert found
-                                    closeModal();
-                                    
-                                    // If still not found, fall back to manual entry
-                                    addManualCertEntryButton();
-                                }
-                            }, 1000); // Try again after another 1 second
-                        }
-                    }, 500); // Initial delay of 500ms
-                    
-                    // Helper function to close the modal/dialog
-                    function closeModal() {
-                        try {
-                            console.log('Attempting to close PSA data modal');
-                            
-                            // Method 1: Look for close buttons
-                            const closeButtons = document.querySelectorAll('button.close, .close-button, .modal-close, [aria-label="Close"], button[aria-label*="close" i], button[class*="close" i]');
-                            for (const button of closeButtons) {
-                                if (button.offsetParent !== null) { // Check if element is visible
-                                    console.log('Found close button, clicking it');
-                                    button.click();
-                                    return;
-                                }
-                            }
-                            
-                            // Method 2: Look for X icons
-                            const closeIcons = document.querySelectorAll('.icon-close, .x-icon, svg[aria-label="Close"], svg[aria-label*="close" i], [data-testid*="close" i]');
-                            for (const icon of closeIcons) {
-                                if (icon.offsetParent !== null) {
-                                    console.log('Found close icon, clicking it');
-                                    icon.click();
-                                    return;
-                                }
-                            }
-                            
-                            // Method 3: Look for elements with "close" in their class or id
-                            const closeElements = document.querySelectorAll('[class*="close" i], [id*="close" i]');
-                            for (const element of closeElements) {
-                                if (element.offsetParent !== null) {
-                                    console.log('Found element with close in class/id, clicking it');
-                                    element.click();
-                                    return;
-                                }
-                            }
-                            
-                            // Method 4: Press Escape key to close modal
-                            console.log('Trying Escape key to close modal');
-                            document.dispatchEvent(new KeyboardEvent('keydown', {
-                                key: 'Escape',
-                                code: 'Escape',
-                                keyCode: 27,
-                                which: 27,
-                                bubbles: true,
-                                cancelable: true
-                            }));
-                            
-                            console.log('Attempted to close modal with multiple methods');
-                        } catch (e) {
-                            console.log('Error while trying to close modal:', e);
-                        }
-                    }
-                }, 1500); // Give it 1.5 seconds to load
+                // Snapshots recorded before grade entries existed hold label to text maps
+                return (GM_getValue(this.getKey(certNumber, graderId)) || []).map(snapshot => ({
+                    timestamp: snapshot.timestamp,
+                    priceData: normalizeGradeEntries(snapshot.priceData, 'price', 'migrated', snapshot.timestamp),
+                    popData: normalizeGradeEntries(snapshot.popData, 'pop', 'migrated', snapshot.timestamp)
+                }));
+            } catch (e) {
+                console.error('Error reading price history:', e);
+                return [];
+            }
+        },
+        
+        /**
+         * Append a snapshot of freshly fetched data
+         * @param {string} certNumber - Certification number
+         * @param {object} data - Parsed cert data
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
+         */
+        addSnapshot: function(certNumber, data, graderId) {
+            try {
+                const history = this.getHistory(certNumber, graderId);
+                history.push({
+                    timestamp: Date.now(),
+                    priceData: data.priceData,
+                    popData: data.popData
+                });
                 
-                // Return null to prevent the rest of the function from executing
-                // The setTimeout callback will handle the cert number when found
-                return null;
+                // Drop the oldest snapshots once we're over the limit
+                const trimmed = history.slice(-HISTORY_CONFIG.maxSnapshots);
+                GM_setValue(this.getKey(certNumber, graderId), trimmed);
+                console.log('Saved price history snapshot:', certNumber, '(' + trimmed.length + ' total)');
             } catch (e) {
-                console.log('Error clicking PSA data link:', e);
-                // Continue with other methods if clicking fails
+                console.error('Error saving price history:', e);
             }
         }
+    };
+    
+    // Watchlist functions. Each watched cert remembers the listing it was seen on, the
+    // price the user wants to pay and the estimate that price alerts are measured from.
+    const WatchlistManager = {
+        /**
+         * Build the watchlist key for a cert
+         * @param {string} certNumber - Certification number
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
+         * @returns {string} Watchlist key
+         */
+        getKey: function(certNumber, graderId) {
+            return (graderId || 'psa') + ':' + certNumber;
+        },
         
-        // Method 0: Check for key-value__value class which often contains the cert number
-        const keyValueElements = document.querySelectorAll('.key-value__value');
-        for (const element of keyValueElements) {
-            const text = element.textContent.trim();
-            if (/^\d{8,}$/.test(text)) {
-                // Check if this is likely a PSA cert by looking at nearby elements
-                const keyLabel = element.closest('.key-value')?.querySelector('.key-value__key');
-                if (keyLabel) {
-                    const labelText = keyLabel.textContent.toLowerCase();
-                    if (labelText.includes('certification') || 
-                        labelText.includes('cert') || 
-                        labelText.includes('authentication') || 
-                        labelText.includes('grading') || 
-                        labelText.includes('psa') || 
-                        labelText.includes('serial')) {
-                        console.log('Found PSA cert in key-value field with matching label:', text);
-                        return text;
-                    }
-                }
-                
-                // Even if no matching label, it might still be a cert number
-                console.log('Found potential PSA cert in key-value field:', text);
-                return text;
-            }
-        }
-        
-        // Helper function to find cert number in page after clicking
-        function findCertNumberInPage() {
-            // Look for cert number in modal or popup that might appear
-            // First, try to find the specific PSA certification modal
-            let psaModal = null;
-            const allModals = document.querySelectorAll('.modal-content, .popup-content, .dialog-content, .psa-data, [role="dialog"], [aria-modal="true"]');
-            
-            for (const modal of allModals) {
-                const modalText = modal.textContent.toLowerCase();
-                if (modalText.includes('psa') || 
-                    modalText.includes('certification') || 
-                    modalText.includes('graded') || 
-                    modalText.includes('authentication')) {
-                    psaModal = modal;
-                    console.log('Found PSA-related modal');
-                    break;
-                }
+        /**
+         * Get every watched cert
+         * @returns {object} Watchlist items keyed by getKey
+         */
+        getAll: function() {
+            try {
+                return GM_getValue(WATCHLIST_CONFIG.storageKey) || {};
+            } catch (e) {
+                console.error('Error reading watchlist:', e);
+                return {};
             }
-            
-            // If we found a specific PSA modal, use that, otherwise check all modals
-            const modalTexts = psaModal ? [psaModal] : allModals;
-            
-            for (const element of modalTexts) {
-                const text = element.textContent;
-                
-                // First check for explicit certification number patterns
-                // PSA cert numbers are typically 8-10 digits
-                const certMatch = text.match(/Certification\s*#?\s*(\d{8,10})/i) || 
-                                 text.match(/Cert\s*#?\s*(\d{8,10})/i) ||
-                                 text.match(/Certificate\s*#?\s*(\d{8,10})/i) ||
-                                 text.match(/PSA\s*#?\s*(\d{8,10})/i) ||
-                                 text.match(/Authentication\s*#?\s*(\d{8,10})/i) ||
-                                 text.match(/Grading\s*Number\s*#?\s*(\d{8,10})/i);
-                if (certMatch && certMatch[1]) {
-                    console.log('Found explicit certification number pattern:', certMatch[1]);
-                    return certMatch[1];
-                }
+        },
+        
+        /**
+         * Get a watched cert
+         * @param {string} certNumber - Certification number
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
+         * @returns {object|null} Watchlist item or null if the cert isn't watched
+         */
+        getItem: function(certNumber, graderId) {
+            return this.getAll()[this.getKey(certNumber, graderId)] || null;
+        },
+        
+        /**
+         * Start watching a cert
+         * @param {object} item - certNumber, grader, cardName, listingUrl, targetPrice,
+         *                        listingPrice and estimate at the time it was added
+         */
+        addItem: function(item) {
+            try {
+                const watchlist = this.getAll();
+                watchlist[this.getKey(item.certNumber, item.grader)] = {
+                    certNumber: item.certNumber,
+                    grader: item.grader || 'psa',
+                    cardName: item.cardName,
+                    listingUrl: item.listingUrl,
+                    targetPrice: item.targetPrice,
+                    lastListingPrice: isNaN(item.listingPrice) ? null : item.listingPrice,
+                    baselineEstimate: item.estimate,
+                    addedAt: Date.now(),
+                    lastChecked: Date.now()
+                };
+                GM_setValue(WATCHLIST_CONFIG.storageKey, watchlist);
+                console.log('Added to watchlist:', item.certNumber);
+            } catch (e) {
+                console.error('Error saving to watchlist:', e);
+            }
+        },
+        
+        /**
+         * Update fields on a watched cert
+         * @param {string} key - Watchlist key
+         * @param {object} changes - Fields to overwrite
+         */
+        updateItem: function(key, changes) {
+            try {
+                const watchlist = this.getAll();
+                if (!watchlist[key]) return;
                 
-                // Check for certification number in a more structured way
-                // Look for sections that contain both "PSA" and a number
-                if (text.includes('PSA') || text.includes('Certification') || text.includes('Authentication')) {
-                    // Split the text into smaller chunks to analyze
-                    const chunks = text.split(/[\n\r\t]+/);
-                    for (const chunk of chunks) {
-                        // If chunk contains certification-related terms
-                        if (chunk.includes('PSA') || chunk.includes('Certification') || 
-                            chunk.includes('Authentication') || chunk.includes('Graded')) {
-                            // Look for 8-10 digit numbers in this chunk (typical PSA cert length)
-                            const numberMatch = chunk.match(/(\d{8,10})/);
-                            if (numberMatch && numberMatch[1]) {
-                                // Avoid eBay item numbers which are typically 12 digits
-                                if (numberMatch[1].length <= 10) {
-                                    console.log('Found certification number in relevant chunk:', numberMatch[1]);
-                                    return numberMatch[1];
-                                }
-                            }
-                        }
-                    }
-                }
+                Object.assign(watchlist[key], changes);
+                GM_setValue(WATCHLIST_CONFIG.storageKey, watchlist);
+            } catch (e) {
+                console.error('Error updating watchlist:', e);
             }
-            
-            // Check for newly appeared elements with the cert number
-            const newKeyValueElements = document.querySelectorAll('.key-value__value, [role="dialog"] span, [aria-modal="true"] span');
-            for (const element of newKeyValueElements) {
-                const text = element.textContent.trim();
-                if (/^\d{8,}$/.test(text)) {
-                    return text;
-                }
+        },
+        
+        /**
+         * Stop watching a cert
+         * @param {string} certNumber - Certification number
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
+         */
+        removeItem: function(certNumber, graderId) {
+            try {
+                const watchlist = this.getAll();
+                delete watchlist[this.getKey(certNumber, graderId)];
+                GM_setValue(WATCHLIST_CONFIG.storageKey, watchlist);
+                console.log('Removed from watchlist:', certNumber);
+            } catch (e) {
+                console.error('Error removing from watchlist:', e);
             }
+        },
+        
+        /**
+         * Re-check every watched cert that hasn't been checked within the recheck interval
+         */
+        recheckStale: function() {
+            const now = Date.now();
+            const staleEntries = Object.entries(this.getAll())
+                .filter(([, item]) => now - (item.lastChecked || 0) > WATCHLIST_CONFIG.recheckInterval);
             
-            // Try to find PSA certification number in structured content
-            // Look for elements that might contain certification info
-            const certElements = document.querySelectorAll('[role="dialog"] [class*="cert" i], [aria-modal="true"] [class*="cert" i], .modal-content [class*="cert" i], .dialog-content [class*="cert" i]');
+            if (staleEntries.length === 0) return;
             
-            for (const element of certElements) {
-                const text = element.textContent.trim();
-                // Look for a standalone number that matches PSA cert pattern
-                const match = text.match(/(\d{8,10})/g);
-                if (match && match[0] && isLikelyPSACertNumber(match[0])) {
-                    console.log('Found PSA cert number in certification element:', match[0]);
-                    return match[0];
-                }
+            console.log('Re-checking', staleEntries.length, 'stale watchlist items');
+            
+            for (const [key, item] of staleEntries) {
+                // Claim the item first so other open tabs don't check it at the same time
+                this.updateItem(key, { lastChecked: now });
+                this.recheckItem(key, item);
             }
+        },
+        
+        /**
+         * Fetch the current listing price and estimate for a watched cert and raise alerts
+         * @param {string} key - Watchlist key
+         * @param {object} item - Watchlist item
+         */
+        recheckItem: function(key, item) {
+            const grader = getGrader(item.grader);
             
-            // First, look for the exact PSA::PSACERT::number format
-            const modalElement = document.querySelector('[role="dialog"], [aria-modal="true"], .modal-content, .dialog-content');
-            if (modalElement) {
-                // Look for elements with data attributes that might contain the PSA cert ID
-                const allElements = modalElement.querySelectorAll('*');
-                for (const element of allElements) {
-                    // Check all attributes of the element
-                    for (const attr of element.attributes) {
-                        const attrValue = attr.value;
-                        // Look for the specific PSA::PSACERT:: format
-                        const psaMatch = attrValue.match(/PSA::PSACERT::([\d]+)/i);
-                        if (psaMatch && psaMatch[1] && isLikelyPSACertNumber(psaMatch[1])) {
-                            console.log('Found exact PSA::PSACERT:: format:', psaMatch[1]);
-                            return psaMatch[1];
+            fetchListingPrice(item.listingUrl, listingPrice => {
+                // Skip the cache: a cached estimate can be days old and would never have moved
+                PSARequestQueue.enqueue(item.certNumber, {
+                    onLoad: psaData => {
+                        const estimate = findPSAPriceForGrade(psaData.priceData, psaData.grade);
+                        const changes = {};
+                        
+                        // Alert once when the listing price crosses below the target
+                        if (!isNaN(listingPrice)) {
+                            const wasAboveTarget = item.lastListingPrice === null || item.lastListingPrice >= item.targetPrice;
+                            if (listingPrice < item.targetPrice && wasAboveTarget) {
+                                sendWatchlistNotification(item,
+                                    `Listing price dropped to ${CurrencyManager.format(listingPrice, 'USD')}, below your target of ${CurrencyManager.format(item.targetPrice, 'USD')}.`);
+                            }
+                            changes.lastListingPrice = listingPrice;
                         }
                         
-                        // Also check for JSON-like strings that might contain the PSA cert
-                        if (attrValue.includes('PSA') && attrValue.includes('CERT')) {
-                            try {
-                                // Try to parse as JSON if it looks like JSON
-                                if (attrValue.includes('{') && attrValue.includes('}')) {
-                                    const jsonObj = JSON.parse(attrValue);
-                                    // Check various properties that might contain the cert
-                                    const jsonStr = JSON.stringify(jsonObj);
-                                    const psaJsonMatch = jsonStr.match(/PSA::PSACERT::([\d]+)/i);
-                                    if (psaJsonMatch && psaJsonMatch[1] && isLikelyPSACertNumber(psaJsonMatch[1])) {
-                                        console.log('Found PSA cert in JSON attribute:', psaJsonMatch[1]);
-                                        return psaJsonMatch[1];
-                                    }
-                                }
-                            } catch (e) {
-                                // Not valid JSON, try regex directly
-                                const psaAttrMatch = attrValue.match(/PSA::PSACERT::([\d]+)/i);
-                                if (psaAttrMatch && psaAttrMatch[1] && isLikelyPSACertNumber(psaAttrMatch[1])) {
-                                    console.log('Found PSA cert in attribute:', psaAttrMatch[1]);
-                                    return psaAttrMatch[1];
+                        // Alert when the estimate has moved far enough from the last alerted value
+                        if (estimate !== null) {
+                            if (item.baselineEstimate) {
+                                const percentChange = ((estimate - item.baselineEstimate) / item.baselineEstimate) * 100;
+                                if (Math.abs(percentChange) > WATCHLIST_CONFIG.estimateChangeThreshold) {
+                                    sendWatchlistNotification(item,
+                                        `${grader.name} estimate ${percentChange > 0 ? 'rose' : 'fell'} ${Math.abs(percentChange).toFixed(1)}% to ${CurrencyManager.format(estimate, 'USD')}.`);
+                                    changes.baselineEstimate = estimate;
                                 }
+                            } else {
+                                changes.baselineEstimate = estimate;
                             }
+                            changes.lastEstimate = estimate;
                         }
+                        
+                        this.updateItem(key, changes);
+                    },
+                    onError: error => {
+                        console.error('Watchlist re-check failed for cert', item.certNumber, getFetchErrorMessage(error));
                     }
-                }
+                }, grader.id, { forceRefresh: true });
+            });
+        }
+    };
+    
+    // Collection functions. Slabs we own, with what we paid, valued at the grader's
+    // current estimate for the cert's grade.
+    const CollectionManager = {
+        /**
+         * Build the collection key for a cert
+         * @param {string} certNumber - Certification number
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
+         * @returns {string} Collection key
+         */
+        getKey: function(certNumber, graderId) {
+            return (graderId || 'psa') + ':' + certNumber;
+        },
+        
+        /**
+         * Get every cert in the collection
+         * @returns {object} Collection items keyed by getKey
+         */
+        getAll: function() {
+            try {
+                return GM_getValue(COLLECTION_CONFIG.storageKey) || {};
+            } catch (e) {
+                console.error('Error reading collection:', e);
+                return {};
             }
-            
-            // If the specific format wasn't found, check the modal rows as before
-            const modalRows = document.querySelectorAll('[role="dialog"] tr, [aria-modal="true"] tr, .modal-content tr, .dialog-content tr');
-            for (const row of modalRows) {
-                const cells = row.querySelectorAll('td, th');
-                
-                // First check if this row contains certification-related text
-                const rowText = row.textContent.toLowerCase();
-                const isCertificationRow = rowText.includes('certification') || 
-                                          rowText.includes('cert') || 
-                                          rowText.includes('authentication') || 
-                                          rowText.includes('psa') || 
-                                          rowText.includes('graded');
-                
-                if (isCertificationRow) {
-                    // This row is likely related to certification, check all cells for a number
-                    for (const cell of cells) {
-                        const text = cell.textContent.trim();
-                        // Look for 8-10 digit numbers that are likely PSA cert numbers
-                        const certMatch = text.match(/(\d{8,10})/);
-                        if (certMatch && certMatch[1]) {
-                            // Avoid eBay item numbers which are typically 12 digits
-                            if (certMatch[1].length <= 10) {
-                                console.log('Found cert number in certification row:', certMatch[1]);
-                                return certMatch[1];
-                            }
-                        }
-                    }
-                }
+        },
+        
+        /**
+         * Get a cert from the collection
+         * @param {string} certNumber - Certification number
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
+         * @returns {object|null} Collection item or null if the cert isn't in the collection
+         */
+        getItem: function(certNumber, graderId) {
+            return this.getAll()[this.getKey(certNumber, graderId)] || null;
+        },
+        
+        /**
+         * Add a cert to the collection
+         * @param {object} psaData - Cert data
+         * @param {string} graderId - Grader id from GRADERS
+         * @param {number} purchasePrice - What we paid, in US dollars
+         * @param {string} purchaseDate - Purchase date as YYYY-MM-DD
+         * @param {string} listingUrl - Listing the slab was bought from
+         */
+        addItem: function(psaData, graderId, purchasePrice, purchaseDate, listingUrl) {
+            try {
+                const collection = this.getAll();
+                collection[this.getKey(psaData.certNumber, graderId)] = {
+                    certNumber: psaData.certNumber,
+                    grader: graderId || 'psa',
+                    cardName: psaData.cardName,
+                    grade: psaData.grade,
+                    purchasePrice: purchasePrice,
+                    purchaseDate: purchaseDate,
+                    listingUrl: listingUrl,
+                    estimate: findPSAPriceForGrade(psaData.priceData, psaData.grade),
+                    valuedAt: psaData._cacheTimestamp || Date.now(),
+                    addedAt: Date.now()
+                };
+                GM_setValue(COLLECTION_CONFIG.storageKey, collection);
+                console.log('Added to collection:', psaData.certNumber);
+            } catch (e) {
+                console.error('Error saving to collection:', e);
             }
-            
-            // If we couldn't find a certification number in rows with cert-related text,
-            // look more carefully at the modal content
-            const modalContent = document.querySelector('[role="dialog"], [aria-modal="true"], .modal-content, .dialog-content');
-            if (modalContent) {
-                // Look for the PSA certification ID in the modal's HTML
-                const modalHtml = modalContent.innerHTML;
-                const psaHtmlMatch = modalHtml.match(/PSA::PSACERT::([\d]+)/i);
-                if (psaHtmlMatch && psaHtmlMatch[1] && isLikelyPSACertNumber(psaHtmlMatch[1])) {
-                    console.log('Found PSA cert ID in modal HTML:', psaHtmlMatch[1]);
-                    return psaHtmlMatch[1];
-                }
-                
-                // Get all text nodes in the modal
-                const textNodes = [];
-                const walker = document.createTreeWalker(
-                    modalContent,
-                    NodeFilter.SHOW_TEXT,
-                    null,
-                    false
-                );
-                
-                let node;
-                while (node = walker.nextNode()) {
-                    textNodes.push({
-                        node: node,
-                        text: node.textContent.trim()
-                    });
-                }
+        },
+        
+        /**
+         * Record the current estimate for a cert in the collection
+         * @param {object} psaData - Fresh or cached cert data
+         * @param {string} graderId - Grader id from GRADERS
+         */
+        updateValuation: function(psaData, graderId) {
+            try {
+                const collection = this.getAll();
+                const item = collection[this.getKey(psaData.certNumber, graderId)];
+                if (!item) return;
                 
-                // Look for nodes with certification-related text
-                for (const item of textNodes) {
-                    const text = item.text.toLowerCase();
-                    if (text.includes('certification') || text.includes('cert') || 
-                        text.includes('authentication') || text.includes('psa') || 
-                        text.includes('graded')) {
-                        
-                        // Check nearby nodes (within 5 positions) for numbers
-                        const index = textNodes.indexOf(item);
-                        const start = Math.max(0, index - 5);
-                        const end = Math.min(textNodes.length, index + 5);
-                        
-                        for (let i = start; i < end; i++) {
-                            const nearbyText = textNodes[i].text;
-                            const certMatch = nearbyText.match(/(\d{8,10})/);
-                            if (certMatch && certMatch[1]) {
-                                // Avoid eBay item numbers which are typically 12 digits
-                                if (certMatch[1].length <= 10) {
-                                    console.log('Found cert number near certification text:', certMatch[1]);
-                                    return certMatch[1];
-                                }
-                            }
-                        }
-                    }
-                }
+                item.cardName = psaData.cardName;
+                item.grade = psaData.grade;
+                item.estimate = findPSAPriceForGrade(psaData.priceData, psaData.grade);
+                item.valuedAt = psaData._cacheTimestamp || Date.now();
+                GM_setValue(COLLECTION_CONFIG.storageKey, collection);
+            } catch (e) {
+                console.error('Error updating collection valuation:', e);
             }
-            
-            // Check for any new elements containing digits that might be the cert
-            // but be more careful to avoid eBay listing IDs
-            const allElements = document.querySelectorAll('*');
-            
-            // First, look for elements with certification-related context
-            for (const element of allElements) {
-                if (element.children.length === 0) { // Only check leaf nodes
-                    const text = element.textContent.trim();
-                    if (/^\d{8,}$/.test(text)) {
-                        // Check if this element has certification-related context
-                        let parent = element.parentElement;
-                        let depth = 0;
-                        const maxDepth = 3; // Check up to 3 levels up
-                        
-                        while (parent && depth < maxDepth) {
-                            const parentText = parent.textContent.toLowerCase();
-                            if (parentText.includes('psa') || 
-                                parentText.includes('cert') || 
-                                parentText.includes('authentication') || 
-                                parentText.includes('graded')) {
-                                console.log('Found number in certification context:', text);
-                                return text;
-                            }
-                            parent = parent.parentElement;
-                            depth++;
-                        }
-                    }
-                }
+        },
+        
+        /**
+         * Remove a cert from the collection
+         * @param {string} certNumber - Certification number
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
+         */
+        removeItem: function(certNumber, graderId) {
+            try {
+                const collection = this.getAll();
+                delete collection[this.getKey(certNumber, graderId)];
+                GM_setValue(COLLECTION_CONFIG.storageKey, collection);
+                console.log('Removed from collection:', certNumber);
+            } catch (e) {
+                console.error('Error removing from collection:', e);
             }
+        },
+        
+        /**
+         * Check whether an item's valuation is due for a refresh
+         * @param {object} item - Collection item
+         * @returns {boolean} True if the valuation is missing or older than staleAfter
+         */
+        isStale: function(item) {
+            return item.estimate === null || Date.now() - (item.valuedAt || 0) > COLLECTION_CONFIG.staleAfter;
+        },
+        
+        /**
+         * Total cost basis, current value and gain/loss over the collection. Items without
+         * an estimate are left out of the value and gain/loss totals.
+         * @returns {object} count, cost, valuedCost, value, gain, gainPercent and unvalued count
+         */
+        getSummary: function() {
+            const items = Object.values(this.getAll());
+            const valued = items.filter(item => item.estimate !== null);
+            const valuedCost = valued.reduce((sum, item) => sum + item.purchasePrice, 0);
+            const value = valued.reduce((sum, item) => sum + item.estimate, 0);
             
-            // If we still haven't found a cert number, be more selective
-            // Look for standalone numbers that are likely PSA cert numbers (usually 8-10 digits)
-            // but avoid common eBay patterns like item numbers
-            const potentialCertNumbers = [];
+            return {
+                count: items.length,
+                cost: items.reduce((sum, item) => sum + item.purchasePrice, 0),
+                valuedCost: valuedCost,
+                value: value,
+                gain: value - valuedCost,
+                gainPercent: valuedCost ? ((value - valuedCost) / valuedCost) * 100 : null,
+                unvalued: items.length - valued.length
+            };
+        },
+        
+        /**
+         * Re-value every stale item through the request queue. The cache is skipped, since
+         * it may hold the same data the stale valuation came from.
+         * @param {function} onProgress - Called after each item with (done, total)
+         * @returns {number} Number of items being refreshed
+         */
+        refreshStale: function(onProgress) {
+            const staleItems = Object.values(this.getAll()).filter(item => this.isStale(item));
+            let done = 0;
             
-            for (const element of allElements) {
-                if (element.children.length === 0) { // Only check leaf nodes
-                    const text = element.textContent.trim();
-                    // Match standalone numbers with 8-10 digits (typical PSA cert length)
-                    if (/^\d{8,10}$/.test(text)) {
-                        // Avoid eBay item numbers which often appear with specific labels
-                        const parent = element.parentElement;
-                        if (parent) {
-                            const parentText = parent.textContent.toLowerCase();
-                            if (!parentText.includes('item') && 
-                                !parentText.includes('listing') && 
-                                !parentText.includes('ebay')) {
-                                potentialCertNumbers.push(text);
-                            }
-                        } else {
-                            potentialCertNumbers.push(text);
-                        }
-                    }
-                }
-            }
+            console.log('Refreshing', staleItems.length, 'stale collection valuations');
             
-            // If we found potential cert numbers, return the first one
-            if (potentialCertNumbers.length > 0) {
-                console.log('Found potential cert number:', potentialCertNumbers[0]);
-                return potentialCertNumbers[0];
+            for (const item of staleItems) {
+                PSARequestQueue.enqueue(item.certNumber, {
+                    onLoad: psaData => {
+                        this.updateValuation(psaData, item.grader);
+                        done++;
+                        if (onProgress) onProgress(done, staleItems.length);
+                    },
+                    onError: error => {
+                        console.error('Collection refresh failed for cert', item.certNumber, getFetchErrorMessage(error));
+                        done++;
+                        if (onProgress) onProgress(done, staleItems.length);
+                    }
+                }, item.grader, { forceRefresh: true });
             }
             
-            return null;
+            return staleItems.length;
         }
-        
-        // Method 1: Look for PSA cert number in item specifics section
-        const itemSpecificsSection = document.querySelector('.ux-layout-section-evo--features');
-        if (itemSpecificsSection) {
-            // Check for Professional Grader field
-            const professionalGraderElements = itemSpecificsSection.querySelectorAll('.ux-labels-values--professionalGrader .ux-labels-values__values-content div span');
-            for (const element of professionalGraderElements) {
-                const text = element.textContent.trim();
-                if (/^\d{8,}$/.test(text)) {
-                    console.log('Found PSA cert in Professional Grader field:', text);
-                    return text;
-                }
-            }
-            
-            // Check for Authentication/Grading Number field
-            const authElements = itemSpecificsSection.querySelectorAll('.ux-labels-values--authenticationGradingNumber .ux-labels-values__values-content div span');
-            for (const element of authElements) {
-                const text = element.textContent.trim();
-                if (/^\d{8,}$/.test(text)) {
-                    console.log('Found PSA cert in Authentication/Grading Number field:', text);
-                    return text;
-                }
-            }
-            
-            // Check for Certification Number field
-            const certElements = itemSpecificsSection.querySelectorAll('.ux-labels-values--certificationNumber .ux-labels-values__values-content div span');
-            for (const element of certElements) {
-                const text = element.textContent.trim();
-                if (/^\d{8,}$/.test(text)) {
-                    console.log('Found PSA cert in Certification Number field:', text);
-                    return text;
-                }
-            }
-            
-            // Check for Grade field
-            const gradeElements = itemSpecificsSection.querySelectorAll('.ux-labels-values--grade .ux-labels-values__values-content div span');
-            for (const element of gradeElements) {
-                const text = element.textContent.trim();
-                // Sometimes the cert number is in the grade field with format "PSA 10 #12345678"
-                const certMatch = text.match(/PSA\s*\d+\s*#?\s*(\d{8,})/i);
-                if (certMatch && certMatch[1]) {
-                    console.log('Found PSA cert in Grade field:', certMatch[1]);
-                    return certMatch[1];
-                }
-            }
-            
-            // Check all item specifics fields for a PSA cert number pattern
-            const allSpecificsElements = itemSpecificsSection.querySelectorAll('.ux-labels-values__values-content div span');
-            for (const element of allSpecificsElements) {
-                const text = element.textContent.trim();
-                const certMatch = text.match(/PSA\s*#?\s*(\d{8,})/i) || 
-                                 text.match(/Cert\s*#?\s*(\d{8,})/i) ||
-                                 text.match(/Certificate\s*#?\s*(\d{8,})/i) ||
-                                 text.match(/Serial\s*#?\s*(\d{8,})/i);
-                if (certMatch && certMatch[1]) {
-                    console.log('Found PSA cert in item specifics:', certMatch[1]);
-                    return certMatch[1];
-                }
-            }
-        }
-        
-        // Method 2: Look for "Check PSA data" or "See all" link
-        const psaDataLink = document.querySelector('button[data-clientpresentationmetadata*="CARD_INSIGHTS_PSA"]') || 
-                           document.querySelector('button.fake-link[data-vi-tracking*="CLICK"]');
-        
-        // Method 2.1: Try to extract PSA cert ID directly from data attributes
-        if (!psaDataLink) {
-            // Look for elements with data attributes that might contain PSA certification info
-            const allElements = document.querySelectorAll('*[data-*]');
-            for (const element of allElements) {
-                // Check all attributes of the element
-                for (const attr of element.attributes) {
-                    if (attr.name.startsWith('data-')) {
-                        const attrValue = attr.value;
-                        // Look for the specific PSA::PSACERT:: format
-                        const psaMatch = attrValue.match(/PSA::PSACERT::([\d]+)/i);
-                        if (psaMatch && psaMatch[1]) {
-                            console.log('Found PSA cert ID in data attribute:', psaMatch[1]);
-                            fetchPSAData(psaMatch[1]);
-                            return psaMatch[1];
-                        }
-                        
-                        // Check if attribute value might be JSON
-                        if (attrValue.includes('{') && attrValue.includes('}') && 
-                            (attrValue.includes('PSA') || attrValue.includes('cert'))) {
-                            try {
-                                // Try to parse as JSON
-                                const jsonObj = JSON.parse(attrValue);
-                                // Convert to string for easier searching
-                                const jsonStr = JSON.stringify(jsonObj);
-                                const psaJsonMatch = jsonStr.match(/PSA::PSACERT::([\d]+)/i);
-                                if (psaJsonMatch && psaJsonMatch[1]) {
-                                    console.log('Found PSA cert ID in JSON data attribute:', psaJsonMatch[1]);
-                                    fetchPSAData(psaJsonMatch[1]);
-                                    return psaJsonMatch[1];
-                                }
-                            } catch (e) {
-                                // Not valid JSON, continue
-                            }
-                        }
-                    }
+    };
+    
+    // Currency functions. Grader estimates are in US dollars, so listing prices are
+    // converted to dollars before they are compared.
+    const CurrencyManager = {
+        /**
+         * Currency of unmarked prices on an eBay site
+         * @param {string} hostname - eBay hostname (default: the current page's)
+         * @returns {string} ISO currency code
+         */
+        getSiteCurrency: function(hostname) {
+            return CURRENCY_CONFIG.siteCurrencies[hostname || window.location.hostname] || 'USD';
+        },
+
+        /**
+         * Work out which currency a price string is in
+         * @param {string} text - Price text, e.g. "£12.50" or "C $20.00"
+         * @param {string} hostname - eBay hostname the price is from (default: the current page's)
+         * @returns {string} ISO currency code
+         */
+        detectCurrency: function(text, hostname) {
+            for (const marker of CURRENCY_CONFIG.markers) {
+                if (marker.pattern.test(text || '')) {
+                    return marker.currency;
                 }
             }
-        }
-        if (psaDataLink) {
-            // The link exists, but we need to extract the cert number from somewhere else
-            // This is just a marker that this is a PSA graded item
-            
-            // Try to find cert number in the item description
-            const itemDescription = document.querySelector('#desc_ifr');
-            if (itemDescription && itemDescription.contentDocument) {
-                const descriptionText = itemDescription.contentDocument.body.textContent;
-                const certMatch = descriptionText.match(/PSA\s*#?\s*(\d{8,})/i) || 
-                                 descriptionText.match(/Cert\s*#?\s*(\d{8,})/i) ||
-                                 descriptionText.match(/Certificate\s*#?\s*(\d{8,})/i) ||
-                                 descriptionText.match(/Serial\s*#?\s*(\d{8,})/i) ||
-                                 descriptionText.match(/Authentication\s*#?\s*(\d{8,})/i);
-                if (certMatch && certMatch[1]) {
-                    console.log('Found PSA cert in description:', certMatch[1]);
-                    return certMatch[1];
-                }
+            return this.getSiteCurrency(hostname);
+        },
+
+        /**
+         * Get the US dollar value of one unit of a currency
+         * @param {string} currency - ISO currency code
+         * @returns {number|null} Rate, or null if we have none for the currency
+         */
+        getRate: function(currency) {
+            if (currency === 'USD') return 1;
+
+            const learned = GM_getValue(CURRENCY_CONFIG.storageKey, {})[currency];
+            if (learned && Date.now() - learned.timestamp < CURRENCY_CONFIG.learnedRateMaxAge) {
+                return learned.rate;
             }
-        }
-        
-        // Method 3: Look for PSA number in the title or subtitle
-        const titleElement = document.querySelector('.x-item-title__mainTitle span');
-        if (titleElement) {
-            const titleText = titleElement.textContent;
-            const certMatch = titleText.match(/PSA\s*#?\s*(\d{8,})/i) ||
-                             titleText.match(/Cert\s*#?\s*(\d{8,})/i) ||
-                             titleText.match(/Certificate\s*#?\s*(\d{8,})/i);
-            if (certMatch && certMatch[1]) {
-                console.log('Found PSA cert in title:', certMatch[1]);
-                return certMatch[1];
+
+            return SettingsManager.get('exchangeRate' + currency) || null;
+        },
+
+        /**
+         * Remember the rate implied by a price eBay showed in both currencies
+         * @param {string} currency - ISO currency code of the original price
+         * @param {number} amount - Original price
+         * @param {number} usdAmount - eBay's US dollar conversion of it
+         */
+        learnRate: function(currency, amount, usdAmount) {
+            if (currency === 'USD' || !(amount > 0) || !(usdAmount > 0)) return;
+
+            const rates = GM_getValue(CURRENCY_CONFIG.storageKey, {});
+            rates[currency] = { rate: usdAmount / amount, timestamp: Date.now() };
+            GM_setValue(CURRENCY_CONFIG.storageKey, rates);
+            console.log(`Learned exchange rate from eBay: 1 ${currency} = ${rates[currency].rate.toFixed(4)} USD`);
+        },
+
+        /**
+         * Convert an amount to US dollars
+         * @param {number} amount - Amount in the given currency
+         * @param {string} currency - ISO currency code
+         * @returns {number} Amount in US dollars, or NaN if there is no rate
+         */
+        toUSD: function(amount, currency) {
+            const rate = this.getRate(currency);
+            return rate ? amount * rate : NaN;
+        },
+
+        /**
+         * Format an amount for display
+         * @param {number} amount - Amount
+         * @param {string} currency - ISO currency code (default: 'USD')
+         * @returns {string} Formatted amount, e.g. "$1,250.00" or "£80.00"
+         */
+        format: function(amount, currency) {
+            try {
+                return new Intl.NumberFormat('en-US', { style: 'currency', currency: currency || 'USD' }).format(amount);
+            } catch (e) {
+                return `${currency} ${amount.toFixed(2)}`;
             }
         }
+    };
+
+    // Export and import of cached cert data and price history, so caches can be moved
+    // between browsers. JSON round-trips everything; CSV is a flattened, read-only view.
+    const ExportManager = {
+        format: 'psa-certification-export',
+        version: 1,
         
-        // Method 4: Look for PSA number in any text on the page
-        // This is a last resort method that might find false positives
-        // but we'll limit it to elements near PSA mentions
-        // Use a custom function to find elements containing text since :contains() is not standard
-        function findElementsContainingText(text) {
-            const elements = [];
-            const walker = document.createTreeWalker(
-                document.body,
-                NodeFilter.SHOW_TEXT,
-                {
-                    acceptNode: function(node) {
-                        return node.nodeValue.includes(text) ? 
-                            NodeFilter.FILTER_ACCEPT : 
-                            NodeFilter.FILTER_REJECT;
-                    }
-                }
-            );
+        /**
+         * Collect every cache entry and history record
+         * @returns {object} Export document
+         */
+        buildExport: function() {
+            const exportData = {
+                format: this.format,
+                version: this.version,
+                exportedAt: new Date().toISOString(),
+                cache: {},
+                history: {}
+            };
             
-            let node;
-            while (node = walker.nextNode()) {
-                elements.push(node.parentNode);
+            for (const key of GM_listValues()) {
+                if (key.startsWith(CACHE_CONFIG.keyPrefix)) {
+                    exportData.cache[key] = GM_getValue(key);
+                } else if (key.startsWith(HISTORY_CONFIG.keyPrefix)) {
+                    exportData.history[key] = GM_getValue(key);
+                }
             }
             
-            return elements;
-        }
+            return exportData;
+        },
         
-        // Method 4.1: Look for the specific PSA::PSACERT:: format in the page HTML
-        const pageHtml = document.documentElement.innerHTML;
-        const psaPageMatch = pageHtml.match(/PSA::PSACERT::([\d]+)/i);
-        if (psaPageMatch && psaPageMatch[1] && isLikelyPSACertNumber(psaPageMatch[1])) {
-            console.log('Found PSA cert ID in page HTML:', psaPageMatch[1]);
-            return psaPageMatch[1];
-        }
+        /**
+         * Download all cached data and history as JSON
+         */
+        exportJSON: function() {
+            const exportData = this.buildExport();
+            downloadFile(`psa-cache-${getDateStamp()}.json`, JSON.stringify(exportData, null, 2), 'application/json');
+            console.log('Exported', Object.keys(exportData.cache).length, 'cache entries and',
+                Object.keys(exportData.history).length, 'history records as JSON');
+        },
         
-        const psaMentions = findElementsContainingText('PSA');
-        for (const element of psaMentions) {
-            // Skip elements that are too large (like body or main containers)
-            if (element.children && element.children.length > 10) continue;
+        /**
+         * Download all cached data and history as a flattened CSV, one row per observation
+         */
+        exportCSV: function() {
+            const exportData = this.buildExport();
+            const observations = [];
+            const cardsByCert = {};
             
-            const text = element.textContent;
-            if (text.length > 500) continue; // Skip very large text blocks
+            for (const entry of Object.values(exportData.cache)) {
+                const data = entry && entry.data;
+                if (!data) continue;
+                
+                cardsByCert[(data.grader || 'psa') + ':' + data.certNumber] = data;
+                observations.push({
+                    source: 'cache',
+                    data: data,
+                    priceData: normalizeGradeEntries(data.priceData, 'price', 'migrated', entry.timestamp),
+                    popData: normalizeGradeEntries(data.popData, 'pop', 'migrated', entry.timestamp),
+                    timestamp: entry.timestamp
+                });
+            }
             
-            const certMatch = text.match(/PSA\s*#?\s*(\d{8,})/i) || 
-                             text.match(/Cert\s*#?\s*(\d{8,})/i) ||
-                             text.match(/Certificate\s*#?\s*(\d{8,})/i);
-            if (certMatch && certMatch[1]) {
-                console.log('Found PSA cert in page text:', certMatch[1]);
-                return certMatch[1];
+            for (const [key, snapshots] of Object.entries(exportData.history)) {
+                const { certNumber, graderId } = parseStorageKey(key, HISTORY_CONFIG.keyPrefix);
+                const data = cardsByCert[graderId + ':' + certNumber] || { certNumber: certNumber, grader: graderId };
+                
+                for (const snapshot of snapshots || []) {
+                    observations.push({
+                        source: 'history',
+                        data: data,
+                        priceData: normalizeGradeEntries(snapshot.priceData, 'price', 'migrated', snapshot.timestamp),
+                        popData: normalizeGradeEntries(snapshot.popData, 'pop', 'migrated', snapshot.timestamp),
+                        timestamp: snapshot.timestamp
+                    });
+                }
             }
-        }
-        
-        // If we couldn't find the cert number but we know it's a PSA graded item,
-        // show a button to manually enter the cert number
+            
+            // One price and one population column per grade seen anywhere in the export
+            const priceGrades = new Set();
+            const popGrades = new Set();
+            observations.forEach(observation => {
+                observation.priceData.forEach(entry => priceGrades.add(entry.label));
+                observation.popData.forEach(entry => popGrades.add(entry.label));
+            });
+            const valueFor = (entries, label) => {
+                const entry = entries.find(candidate => candidate.label === label);
+                return entry ? entry.value : '';
+            };
+            
+            const header = ['Cert', 'Grader', 'Card Name', 'Grade']
+                .concat(Array.from(priceGrades).map(grade => `Price: ${grade}`))
+                .concat(Array.from(popGrades).map(grade => `Pop: ${grade}`))
+                .concat(['Fetched At', 'Source']);
+            
+            const rows = observations.map(observation => {
+                const data = observation.data;
+                return [data.certNumber, getGrader(data.grader).name, data.cardName || '', data.grade || '']
+                    .concat(Array.from(priceGrades).map(label => valueFor(observation.priceData, label)))
+                    .concat(Array.from(popGrades).map(label => valueFor(observation.popData, label)))
+                    .concat([new Date(observation.timestamp).toISOString(), observation.source]);
+            });
+            
+            downloadFile(`psa-cache-${getDateStamp()}.csv`, toCSV([header].concat(rows)), 'text/csv');
+            console.log('Exported', rows.length, 'observations as CSV');
+        },
         
-        // Check for PSA mentions in various elements without using :contains selector
-        let isPsaItem = false;
+        /**
+         * Merge a JSON export into this browser's cache and history.
+         * When a cert exists in both, the entry with the newer timestamp is kept.
+         * @param {string} text - Contents of a file written by exportJSON
+         * @returns {object} Counts of cache entries added, updated and skipped, and history snapshots added
+         */
+        importJSON: function(text) {
+            const importData = JSON.parse(text);
+            if (!importData || importData.format !== this.format) {
+                throw new Error('This file is not a PSA certification export.');
+            }
+            
+            const result = { added: 0, updated: 0, skipped: 0, historyAdded: 0 };
+            
+            for (const [key, entry] of Object.entries(importData.cache || {})) {
+                // Only accept cache keys, so an import can't overwrite settings or other values
+                if (!key.startsWith(CACHE_CONFIG.keyPrefix) || !entry || !entry.data || !entry.timestamp) {
+                    result.skipped++;
+                    continue;
+                }
+                
+                const existing = GM_getValue(key);
+                if (existing && existing.timestamp >= entry.timestamp) {
+                    result.skipped++;
+                    continue;
+                }
+                
+                // Exports from older versions carry older cache entries
+                const current = (entry.schemaVersion || 1) < CACHE_CONFIG.schemaVersion ?
+                    CacheManager.migrateEntry(entry) : entry;
+                GM_setValue(key, current);
+                result[existing ? 'updated' : 'added']++;
+            }
+            
+            for (const [key, snapshots] of Object.entries(importData.history || {})) {
+                if (!key.startsWith(HISTORY_CONFIG.keyPrefix) || !Array.isArray(snapshots)) continue;
+                
+                // Merge snapshot lists, dropping ones we already have
+                const existing = GM_getValue(key) || [];
+                const seen = new Set(existing.map(snapshot => snapshot.timestamp));
+                const incoming = snapshots.filter(snapshot => snapshot && snapshot.timestamp && !seen.has(snapshot.timestamp));
+                if (incoming.length === 0) continue;
+                
+                const merged = existing.concat(incoming)
+                    .sort((a, b) => a.timestamp - b.timestamp)
+                    .slice(-HISTORY_CONFIG.maxSnapshots);
+                GM_setValue(key, merged);
+                result.historyAdded += incoming.length;
+            }
+            
+            // Imports can push us over the size limit
+            CacheManager.cleanupCache();
+            
+            console.log('Import complete:', result);
+            return result;
+        }
+    };
+    
+    // Low-level GET requests to grader websites. Spaces requests out by
+    // REQUEST_CONFIG.minRequestInterval and retries rate limits, server errors and
+    // network failures with exponential backoff, so a busy search page doesn't get us
+    // throttled harder.
+    const RequestManager = {
+        // Earliest time the next request may be sent
+        nextSlot: 0,
+
+        /**
+         * Fetch a URL
+         * @param {string} url - URL to fetch
+         * @param {object} callbacks - onLoad(response) for 200 responses, onError(error) otherwise
+         */
+        get: function(url, callbacks) {
+            this.attempt(url, callbacks, 0);
+        },
+
+        /**
+         * Send one attempt of a request, retrying it if the failure is temporary
+         * @param {string} url - URL to fetch
+         * @param {object} callbacks - onLoad(response) and onError(error)
+         * @param {number} retryCount - Number of retries already made
+         */
+        attempt: function(url, callbacks, retryCount) {
+            const fail = (error, response) => {
+                const retryable = error.type === FETCH_ERRORS.RATE_LIMITED ||
+                    error.type === FETCH_ERRORS.SERVER ||
+                    error.type === FETCH_ERRORS.NETWORK;
+
+                if (retryable && retryCount < REQUEST_CONFIG.maxRetries) {
+                    const delay = this.getRetryDelay(retryCount, response);
+                    console.warn(`Request to ${url} failed (${error.type}), retrying in ${Math.round(delay / 1000)}s`);
+                    setTimeout(() => this.attempt(url, callbacks, retryCount + 1), delay);
+                    return;
+                }
+
+                callbacks.onError(error);
+            };
+
+            this.schedule(() => {
+                GM_xmlhttpRequest({
+                    method: 'GET',
+                    url: url,
+                    headers: {
+                        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+                    },
+                    timeout: REQUEST_CONFIG.timeout,
+                    onload: response => {
+                        if (response.status === 200) {
+                            // Challenge, login and error pages are often served with a 200
+                            const pageError = this.detectProblemPage(response, url);
+                            if (pageError) {
+                                console.error(`Request to ${url} returned a ${pageError.type} page instead of content`);
+                                fail(pageError, response);
+                                return;
+                            }
+                            
+                            callbacks.onLoad(response);
+                            return;
+                        }
+
+                        console.error(`Request to ${url} failed. Status:`, response.status);
+                        console.error('Response text:', (response.responseText || '').substring(0, 200) + '...');
+                        fail(this.classifyResponse(response, url), response);
+                    },
+                    onerror: error => {
+                        console.error(`Request to ${url} failed:`, error);
+                        fail(createFetchError(FETCH_ERRORS.NETWORK, (error && error.error) || 'Network error', { url: url }));
+                    },
+                    ontimeout: () => {
+                        console.error(`Request to ${url} timed out`);
+                        fail(createFetchError(FETCH_ERRORS.NETWORK, 'Request timed out', { url: url }));
+                    }
+                });
+            });
+        },
+
+        /**
+         * Run a send function once the global request interval allows it
+         * @param {function} send - Function that sends the request
+         */
+        schedule: function(send) {
+            const now = Date.now();
+            const wait = Math.max(0, this.nextSlot - now);
+            this.nextSlot = Math.max(now, this.nextSlot) + REQUEST_CONFIG.minRequestInterval;
+
+            if (wait === 0) {
+                send();
+            } else {
+                setTimeout(send, wait);
+            }
+        },
+
+        /**
+         * Work out which kind of failure a non-200 response is
+         * @param {object} response - GM_xmlhttpRequest response
+         * @param {string} url - Requested URL
+         * @returns {Error} Error with type and status
+         */
+        classifyResponse: function(response, url) {
+            const status = response.status;
+            const details = { status: status, url: url };
+
+            const pageError = this.detectProblemPage(response, url);
+            if (pageError) {
+                return pageError;
+            }
+            if (status === 429) {
+                return createFetchError(FETCH_ERRORS.RATE_LIMITED, 'Too many requests', details);
+            }
+            if (status === 401 || status === 403) {
+                return createFetchError(FETCH_ERRORS.BLOCKED, 'Access denied', details);
+            }
+            if (status >= 500 || status === 0) {
+                return createFetchError(FETCH_ERRORS.SERVER, 'Server error', details);
+            }
+            return createFetchError(FETCH_ERRORS.NOT_FOUND, 'Not found', details);
+        },
+
+        /**
+         * Recognize bot checks, login walls and error pages by their content
+         * @param {object} response - GM_xmlhttpRequest response
+         * @param {string} url - Requested URL
+         * @returns {Error|null} Error describing the page, or null if it looks like real content
+         */
+        detectProblemPage: function(response, url) {
+            const html = response.responseText || '';
+            const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+            const title = titleMatch ? titleMatch[1].trim() : '';
+            const details = { status: response.status, url: url };
+
+            // Cloudflare challenges and other captcha interstitials. Only challenge-specific
+            // markers count: Cloudflare's challenge-platform beacon and captcha widgets on
+            // ordinary forms also show up on real cert pages.
+            const headers = response.responseHeaders || '';
+            if (/^cf-mitigated:\s*challenge/im.test(headers) ||
+                /_cf_chl_opt|<form[^>]+(?:challenge-form|cf-chl-)/i.test(html) ||
+                /just a moment|attention required|verify you are human|access denied/i.test(title)) {
+                return createFetchError(FETCH_ERRORS.BLOCKED, 'Bot check or captcha page returned', details);
+            }
+
+            // Redirected to a sign-in page, or served one in place of the cert
+            const finalUrl = response.finalUrl || url;
+            if (/\/(login|signin|sign-in|account\/log-?in)\b/i.test(finalUrl) ||
+                (/<input[^>]+type=["']?password/i.test(html) && /sign in|log in|login/i.test(title))) {
+                return createFetchError(FETCH_ERRORS.LOGIN_REQUIRED, 'Login page returned', details);
+            }
+
+            // Error pages served with a 200 status
+            if (/^404\b|\bnot found\b/i.test(title)) {
+                return createFetchError(FETCH_ERRORS.NOT_FOUND, 'Not found page returned', details);
+            }
+            if (/^(error|server error|service unavailable|something went wrong)\b/i.test(title)) {
+                return createFetchError(FETCH_ERRORS.SERVER, 'Error page returned', details);
+            }
+
+            return null;
+        },
+
+        /**
+         * Delay before the next retry: Retry-After if the server sent one, otherwise
+         * exponential backoff with a little jitter
+         * @param {number} retryCount - Number of retries already made
+         * @param {object} response - Failed response, if there was one
+         * @returns {number} Delay in milliseconds
+         */
+        getRetryDelay: function(retryCount, response) {
+            const headers = (response && response.responseHeaders) || '';
+            const retryAfter = headers.match(/^retry-after:\s*(\d+)\s*$/im);
+            if (retryAfter) {
+                return Math.min(parseInt(retryAfter[1], 10) * 1000, REQUEST_CONFIG.maxRetryDelay);
+            }
+
+            const backoff = REQUEST_CONFIG.baseRetryDelay * Math.pow(2, retryCount);
+            return Math.min(backoff, REQUEST_CONFIG.maxRetryDelay) + Math.floor(Math.random() * 500);
+        }
+    };
+
+    // Request queue that bounds how many cert lookups run at the same time
+    const PSARequestQueue = {
+        pending: [],
+        inFlight: {},
+        activeCount: 0,
+        
+        /**
+         * Queue a cert data request
+         * @param {string} certNumber - Certification number
+         * @param {object} callbacks - onLoad(psaData) and onError(error)
+         * @param {string} graderId - Grader id from GRADERS (default: 'psa')
+         * @param {object} options - Optional; forceRefresh skips the cache (see requestPSAData)
+         */
+        enqueue: function(certNumber, callbacks, graderId, options) {
+            const forceRefresh = !!(options && options.forceRefresh);
+            
+            // A forced refresh must not be answered by a request that may come from the cache
+            const requestKey = (graderId || 'psa') + ':' + certNumber + (forceRefresh ? ':refresh' : '');
+            
+            // Share a single request between callers asking for the same cert
+            if (this.inFlight[requestKey]) {
+                this.inFlight[requestKey].push(callbacks);
+                return;
+            }
+            
+            this.inFlight[requestKey] = [callbacks];
+            this.pending.push({ requestKey: requestKey, certNumber: certNumber, graderId: graderId, forceRefresh: forceRefresh });
+            this.next();
+        },
+        
+        /**
+         * Start queued requests while we are under the concurrency limit
+         */
+        next: function() {
+            while (this.activeCount < SEARCH_CONFIG.maxConcurrentRequests && this.pending.length > 0) {
+                const request = this.pending.shift();
+                this.activeCount++;
+                
+                requestPSAData(request.certNumber, {
+                    onLoad: psaData => this.finish(request.requestKey, 'onLoad', psaData),
+                    onError: error => this.finish(request.requestKey, 'onError', error)
+                }, request.graderId, { forceRefresh: request.forceRefresh });
+            }
+        },
+        
+        /**
+         * Hand a result to every waiting caller and start the next request
+         * @param {string} requestKey - Grader and cert number the request was queued under
+         * @param {string} callbackName - 'onLoad' or 'onError'
+         * @param {*} result - Cert data or error
+         */
+        finish: function(requestKey, callbackName, result) {
+            const waiting = this.inFlight[requestKey] || [];
+            delete this.inFlight[requestKey];
+            this.activeCount--;
+            
+            waiting.forEach(callbacks => {
+                try {
+                    callbacks[callbackName](result);
+                } catch (e) {
+                    console.error('Error in queued cert request callback:', e);
+                }
+            });
+            
+            this.next();
+        }
+    };
+
+    // Page lifecycle. Waits for eBay to render the parts of the page we read, and notices
+    // when eBay swaps the listing without a page load (client-side navigation, variation
+    // changes) so the panel can be torn down and rendered for the new listing.
+    const PageWatcher = {
+        // Incremented on every teardown so late responses for the previous listing are dropped
+        generation: 0,
+        currentKey: null,
+        readyObserver: null,
+        readyTimer: null,
+        navigationTimer: null,
+        
+        /**
+         * Run the script once the page is ready, and again after every navigation
+         * @param {function} onReady - Called when the page (or a new listing) is ready
+         */
+        start: function(onReady) {
+            this.currentKey = this.getPageKey();
+            this.waitForReady(onReady);
+            
+            window.addEventListener('popstate', () => this.checkForNavigation(onReady));
+            
+            // eBay's client-side navigation uses pushState, which fires no event, but it
+            // always re-renders part of the page. Checks are throttled rather than debounced
+            // so constantly updating widgets (e.g. auction countdowns) can't hold them off.
+            const observer = new MutationObserver(() => {
+                if (this.navigationTimer) return;
+                this.navigationTimer = setTimeout(() => {
+                    this.navigationTimer = null;
+                    this.checkForNavigation(onReady);
+                }, PAGE_CONFIG.navigationCheckInterval);
+            });
+            observer.observe(document.body, { childList: true, subtree: true });
+        },
+        
+        /**
+         * Identify the listing being shown: the path (which holds the item ID) plus the
+         * selected variation
+         * @returns {string} Page key
+         */
+        getPageKey: function() {
+            const itemMatch = window.location.pathname.match(/\/itm\/(?:[^/]+\/)?(\d+)/);
+            if (!itemMatch) {
+                return window.location.pathname + window.location.search;
+            }
+            
+            const variation = new URLSearchParams(window.location.search).get('var');
+            return 'itm:' + itemMatch[1] + (variation ? ':' + variation : '');
+        },
+        
+        /**
+         * Selectors that must all match before the page is read
+         * @returns {string[]} CSS selectors
+         */
+        getReadySelectors: function() {
+            return isSearchResultsPage() ?
+                [SEARCH_CONFIG.resultSelector] :
+                Object.values(PAGE_CONFIG.readySelectors);
+        },
+        
+        /**
+         * Call back once every ready selector matches, or when the timeout runs out
+         * @param {function} onReady - Called once, unless the page changes first
+         */
+        waitForReady: function(onReady) {
+            const generation = this.generation;
+            const selectors = this.getReadySelectors();
+            const getMissing = () => selectors.filter(selector => !document.querySelector(selector));
+            
+            const finish = timedOut => {
+                this.stopWaiting();
+                if (!this.isCurrent(generation)) return;
+                
+                if (timedOut) {
+                    console.log('Page not fully rendered after', PAGE_CONFIG.readyTimeout, 'ms, still missing:', getMissing());
+                } else {
+                    console.log('Page ready');
+                }
+                onReady();
+            };
+            
+            if (getMissing().length === 0) {
+                finish(false);
+                return;
+            }
+            
+            this.stopWaiting();
+            this.readyObserver = new MutationObserver(() => {
+                if (getMissing().length === 0) finish(false);
+            });
+            this.readyObserver.observe(document.documentElement, { childList: true, subtree: true });
+            this.readyTimer = setTimeout(() => finish(true), PAGE_CONFIG.readyTimeout);
+        },
+        
+        /**
+         * Stop a pending readiness wait
+         */
+        stopWaiting: function() {
+            if (this.readyObserver) {
+                this.readyObserver.disconnect();
+                this.readyObserver = null;
+            }
+            clearTimeout(this.readyTimer);
+            this.readyTimer = null;
+        },
+        
+        /**
+         * Re-run the script if the URL now points at a different listing
+         * @param {function} onReady - Called when the new listing is ready
+         */
+        checkForNavigation: function(onReady) {
+            const key = this.getPageKey();
+            if (key === this.currentKey) return;
+            
+            console.log('Listing changed from', this.currentKey, 'to', key);
+            this.currentKey = key;
+            this.teardown();
+            this.waitForReady(onReady);
+        },
+        
+        /**
+         * Remove everything the script added for the previous listing
+         */
+        teardown: function() {
+            this.generation++;
+            this.stopWaiting();
+            CertDetector.listing = null;
+            
+            PAGE_CONFIG.panelIds.forEach(id => {
+                const element = document.getElementById(id);
+                if (element) element.remove();
+            });
+        },
+        
+        /**
+         * Check whether work started for a listing is still relevant
+         * @param {number} generation - PageWatcher.generation when the work started
+         * @returns {boolean} True if the listing hasn't changed since
+         */
+        isCurrent: function(generation) {
+            return generation === this.generation;
+        }
+    };
+    
+    // PSA cert page parser. Every field is extracted by an ordered list of named strategies,
+    // most specific first. The first strategy that finds something wins, and its name and
+    // confidence are recorded in parseInfo so a psacard.com markup change shows up as a
+    // fallback strategy winning instead of a silent "Unknown Card".
+    const PSAParser = {
+        // Bump when strategies change in a way that affects parsed output
+        version: 5,
+        
+        strategies: {
+            cardName: [
+                {
+                    name: 'certHeading',
+                    confidence: 0.9,
+                    extract: doc => firstText(doc, [
+                        '.cert-card-details h1',
+                        '.item-details h1',
+                        '.cert-header h1',
+                        '.card-details h1',
+                        'h1.card-title'
+                    ])
+                },
+                {
+                    name: 'displayText',
+                    confidence: 0.8,
+                    extract: doc => firstText(doc, [
+                        'p.text-center.text-display5.uppercase',
+                        'p.text-center.uppercase',
+                        'p.text-display5.uppercase',
+                        'p.uppercase',
+                        '.card-name'
+                    ])
+                },
+                {
+                    // Uppercase text that looks like a card description (year, card number, etc.)
+                    name: 'uppercaseText',
+                    confidence: 0.4,
+                    extract: doc => {
+                        for (const element of doc.querySelectorAll('p, h1, h2, h3, div')) {
+                            const text = element.textContent.trim();
+                            if (text === text.toUpperCase() && text.length > 10 && 
+                                (text.includes('#') || 
+                                 /\d{4}/.test(text) || // Contains a 4-digit year
+                                 /[A-Z]{3,}/.test(text))) { // Contains at least 3 uppercase letters in a row
+                                return text;
+                            }
+                        }
+                        return null;
+                    }
+                }
+            ],
+            
+            cardDetails: [
+                {
+                    name: 'detailsSection',
+                    confidence: 0.8,
+                    extract: doc => firstText(doc, [
+                        '.cert-card-details',
+                        '.item-details',
+                        '.card-details',
+                        '.cert-details'
+                    ])
+                }
+            ],
+            
+            // Structured year, set, card number and player, used to cross-check listings
+            attributes: [
+                {
+                    name: 'labelledFields',
+                    confidence: 0.9,
+                    extract: doc => {
+                        const attributes = pickCardAttributes(readLabelledFields(doc));
+                        return Object.keys(attributes).length > 0 ? attributes : null;
+                    }
+                },
+                {
+                    name: 'cardNameParts',
+                    confidence: 0.5,
+                    extract: (doc, context) => context.cardName ? parseCardNameAttributes(context.cardName) : null
+                }
+            ],
+            
+            grade: [
+                {
+                    name: 'gradeSelector',
+                    confidence: 0.9,
+                    extract: doc => firstText(doc, [
+                        '.cert-grade-box', 
+                        '.grade-box', 
+                        '.cert-grade',
+                        '.grade-value',
+                        '.grade',
+                        '.psa-grade'
+                    ])
+                },
+                {
+                    name: 'pageTextPattern',
+                    confidence: 0.5,
+                    extract: doc => {
+                        const gradeMatch = doc.body.textContent.match(getGradeTextPattern('PSA'));
+                        return gradeMatch && gradeMatch[1] ? `PSA ${gradeMatch[1]}` : null;
+                    }
+                }
+            ],
+            
+            prices: [
+                {
+                    // Grade/price rows in one of PSA's price tables
+                    name: 'priceTable',
+                    confidence: 0.9,
+                    extract: doc => {
+                        const priceSection = firstElement(doc, [
+                            '.cert-pop-chart', 
+                            '.price-chart', 
+                            '.sales-history',
+                            '.price-guide',
+                            '.value-section',
+                            '.smr-table',
+                            'table.price-data'
+                        ]);
+                        return priceSection ? readTableRows(priceSection) : null;
+                    }
+                },
+                {
+                    // A single price element, assumed to be for the cert's own grade
+                    name: 'priceElement',
+                    confidence: 0.6,
+                    extract: (doc, context) => {
+                        const priceText = firstText(doc, [
+                            '.price-value', 
+                            '.avg-price', 
+                            '[data-price]',
+                            '.value',
+                            '.smr-value',
+                            '.price-estimate'
+                        ]);
+                        return priceText ? { [context.gradeLabel]: priceText } : null;
+                    }
+                },
+                {
+                    // A $1,234.56 amount in an element that talks about the grade or value
+                    name: 'currencyInContext',
+                    confidence: 0.3,
+                    extract: (doc, context) => {
+                        for (const element of doc.querySelectorAll('*')) {
+                            if (!element.textContent.includes('$')) continue;
+                            
+                            const priceMatch = element.textContent.trim().match(/\$[\d,]+\.\d{2}/);
+                            if (!priceMatch) continue;
+                            
+                            const elementText = element.textContent.toLowerCase();
+                            if (elementText.includes(`psa ${context.gradeNumber}`) || 
+                                elementText.includes(`grade ${context.gradeNumber}`) ||
+                                elementText.includes('value') ||
+                                elementText.includes('price') ||
+                                elementText.includes('estimate')) {
+                                return { [context.gradeLabel]: priceMatch[0] };
+                            }
+                        }
+                        return null;
+                    }
+                }
+            ],
+            
+            population: [
+                {
+                    // <a class="text-hyperlink" data-testid="link" href="/pop/..."> on the cert page
+                    name: 'popLink',
+                    confidence: 0.9,
+                    extract: (doc, context) => readPopLink(doc, 'a.text-hyperlink[data-testid="link"][href*="/pop/"]', context)
+                },
+                {
+                    name: 'anyPopLink',
+                    confidence: 0.7,
+                    extract: (doc, context) => readPopLink(doc, 'a[href*="/pop/"]', context)
+                },
+                {
+                    name: 'popSection',
+                    confidence: 0.6,
+                    extract: (doc, context) => {
+                        const popSectionSelectors = [
+                            '.cert-pop', 
+                            '.population', 
+                            '.pop-report',
+                            '.population-data',
+                            '.pop-table',
+                            'table.population',
+                            '[data-testid="population"]',
+                            '.text-center.text-body1.font-semibold'
+                        ];
+                        
+                        for (const selector of popSectionSelectors) {
+                            for (const element of doc.querySelectorAll(selector)) {
+                                // A population table gives us counts for every grade
+                                if (element.tagName === 'TABLE') {
+                                    const popData = readTableRows(element);
+                                    if (popData) return popData;
+                                }
+                                
+                                // Otherwise the text might be the count for this cert's grade
+                                const text = element.textContent.trim();
+                                if (/^\d+$/.test(text)) {
+                                    return { [context.gradeLabel]: text };
+                                }
+                            }
+                        }
+                        return null;
+                    }
+                },
+                {
+                    // A number next to, or inside, text mentioning "population" or "pop"
+                    name: 'popLabelText',
+                    confidence: 0.4,
+                    extract: (doc, context) => {
+                        const popElements = Array.from(doc.querySelectorAll('*')).filter(el => 
+                            el.textContent.toLowerCase().includes('population') || 
+                            el.textContent.toLowerCase().includes('pop:') ||
+                            el.textContent.toLowerCase().includes('pop ')
+                        );
+                        
+                        for (const element of popElements) {
+                            for (const sibling of getSiblingElements(element)) {
+                                const text = sibling.textContent.trim();
+                                if (/^\d+$/.test(text)) {
+                                    return { [context.gradeLabel]: text };
+                                }
+                            }
+                            
+                            const text = element.textContent.trim();
+                            const popMatch = text.match(/population[:\s]+(\d+)/i) || 
+                                            text.match(/pop[:\s]+(\d+)/i);
+                            if (popMatch && popMatch[1]) {
+                                return { [context.gradeLabel]: popMatch[1] };
+                            }
+                        }
+                        return null;
+                    }
+                },
+                {
+                    // Last resort: the standalone number closest to a population keyword
+                    name: 'proximityScore',
+                    confidence: 0.2,
+                    extract: (doc, context) => {
+                        const numberElements = Array.from(doc.querySelectorAll('*')).filter(el => {
+                            const text = el.textContent.trim();
+                            return /^\d+$/.test(text) && 
+                                   text.length <= 6 && // Population counts are usually not extremely large
+                                   el.children.length === 0; // Only leaf nodes
+                        });
+                        
+                        // Numbers with no population keyword anywhere near them are just
+                        // other figures on the page, so they are never used
+                        const popKeywords = ['pop', 'population'];
+                        const candidates = numberElements
+                            .map(el => ({ el, score: getPopKeywordProximityScore(el, popKeywords) }))
+                            .filter(candidate => candidate.score > 0)
+                            .sort((a, b) => b.score - a.score);
+                        
+                        return candidates.length > 0 ?
+                            { [context.gradeLabel]: candidates[0].el.textContent.trim() } :
+                            null;
+                    }
+                }
+            ]
+        },
+        
+        /**
+         * Parse a PSA cert page
+         * @param {string} html - Cert page HTML
+         * @param {string} certNumber - PSA certification number
+         * @returns {object} Normalized cert data with parseInfo
+         */
+        parse: function(html, certNumber) {
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            return this.parseDocument(doc, certNumber);
+        },
+        
+        /**
+         * Parse an already-built cert page document (e.g. a jsdom document in Node)
+         * @param {Document} doc - Cert page document
+         * @param {string} certNumber - PSA certification number
+         * @returns {object} Normalized cert data with parseInfo
+         */
+        parseDocument: function(doc, certNumber) {
+            const fields = {};
+            
+            const cardName = this.runStrategies('cardName', doc, {});
+            const cardDetails = this.runStrategies('cardDetails', doc, {});
+            const attributes = this.runStrategies('attributes', doc, { cardName: cardName.value });
+            const grade = this.runStrategies('grade', doc, {});
+            
+            // Single-value price and population strategies file their value under the cert's grade
+            const gradeInfo = parseGrade(grade.value);
+            const context = {
+                gradeNumber: gradeInfo.value === null ? '' : String(gradeInfo.value),
+                gradeLabel: formatGrade(gradeInfo, 'PSA') || 'PSA'
+            };
+            const prices = this.runStrategies('prices', doc, context);
+            const population = this.runStrategies('population', doc, context);
+            
+            fields.cardName = cardName;
+            fields.cardDetails = cardDetails;
+            fields.attributes = attributes;
+            fields.grade = grade;
+            fields.priceData = prices;
+            fields.popData = population;
+            
+            const asOf = Date.now();
+            const psaData = {
+                certNumber,
+                cardName: cardName.value || 'Unknown Card',
+                cardDetails: cardDetails.value || '',
+                attributes: attributes.value || {},
+                grade: grade.value || 'Unknown Grade',
+                gradeInfo: gradeInfo,
+                priceData: createGradeEntries(prices.value || {}, 'price', prices.strategy, asOf),
+                popData: createGradeEntries(population.value || {}, 'pop', population.strategy, asOf),
+                parseInfo: {
+                    parserVersion: this.version,
+                    fields: {}
+                }
+            };
+            
+            for (const [field, result] of Object.entries(fields)) {
+                psaData.parseInfo.fields[field] = {
+                    strategy: result.strategy,
+                    confidence: result.confidence
+                };
+            }
+            
+            console.log(`Parsed PSA cert ${certNumber} with parser v${this.version}:`, psaData.parseInfo.fields);
+            
+            return psaData;
+        },
+        
+        /**
+         * Run a field's strategies in order and keep the first non-empty result
+         * @param {string} field - Key in this.strategies
+         * @param {Document} doc - Cert page document
+         * @param {object} context - Values from earlier fields that strategies may need
+         * @returns {object} value, strategy name and confidence (null/null/0 if nothing matched)
+         */
+        runStrategies: function(field, doc, context) {
+            for (const strategy of this.strategies[field]) {
+                try {
+                    const value = strategy.extract(doc, context);
+                    const isEmpty = !value || (typeof value === 'object' && Object.keys(value).length === 0);
+                    if (!isEmpty) {
+                        return { value: value, strategy: strategy.name, confidence: strategy.confidence };
+                    }
+                } catch (e) {
+                    console.error(`PSA parser strategy ${field}/${strategy.name} failed:`, e);
+                }
+            }
+            
+            return { value: null, strategy: null, confidence: 0 };
+        }
+    };
+    
+    // Helper function to get the trimmed text of the first element matching one of the selectors
+    function firstText(doc, selectors) {
+        const element = firstElement(doc, selectors);
+        const text = element ? element.textContent.trim() : '';
+        return text || null;
+    }
+    
+    // Helper function to get the first element matching one of the selectors
+    function firstElement(doc, selectors) {
+        for (const selector of selectors) {
+            const element = doc.querySelector(selector);
+            if (element) return element;
+        }
+        return null;
+    }
+    
+    // Helper function to read label/value pairs from the first two cells of each table row
+    function readTableRows(table) {
+        const rows = {};
+        table.querySelectorAll('tr').forEach(row => {
+            const cells = row.querySelectorAll('td');
+            if (cells.length >= 2) {
+                rows[cells[0].textContent.trim()] = cells[1].textContent.trim();
+            }
+        });
+        return Object.keys(rows).length > 0 ? rows : null;
+    }
+    
+    // Helper function to collect label/value pairs from definition lists, two-cell table rows
+    // and label/value elements, keyed by lowercased label
+    function readLabelledFields(doc) {
+        const fields = {};
+        const addField = (label, value) => {
+            const key = label.replace(/[:\s]+$/, '').trim().toLowerCase();
+            const text = (value || '').replace(/\s+/g, ' ').trim();
+            if (key && text && !(key in fields)) {
+                fields[key] = text;
+            }
+        };
+        
+        doc.querySelectorAll('dt').forEach(dt => {
+            if (dt.nextElementSibling && dt.nextElementSibling.tagName === 'DD') {
+                addField(dt.textContent, dt.nextElementSibling.textContent);
+            }
+        });
+        
+        doc.querySelectorAll('tr').forEach(row => {
+            const cells = row.querySelectorAll('th, td');
+            if (cells.length === 2) {
+                addField(cells[0].textContent, cells[1].textContent);
+            }
+        });
+        
+        doc.querySelectorAll('[class*="label" i]').forEach(label => {
+            if (label.nextElementSibling && label.children.length === 0) {
+                addField(label.textContent, label.nextElementSibling.textContent);
+            }
+        });
+        
+        return fields;
+    }
+    
+    // Helper function to pick year, set, card number and player out of labelled fields.
+    // Labels cover grader cert pages as well as eBay item specifics.
+    function pickCardAttributes(fields) {
+        const labels = {
+            year: ['year', 'year manufactured', 'season'],
+            set: ['set', 'set name', 'brand'],
+            cardNumber: ['card number', 'card #', 'card no.', 'number'],
+            player: ['player', 'player/athlete', 'athlete', 'subject', 'player name', 'character']
+        };
+        
+        const attributes = {};
+        for (const [attribute, candidates] of Object.entries(labels)) {
+            const label = candidates.find(candidate => fields[candidate]);
+            if (label) {
+                attributes[attribute] = fields[label];
+            }
+        }
+        return attributes;
+    }
+    
+    // Helper function to split a PSA-style card name ("2018 TOPPS UPDATE #US250 SHOHEI OHTANI")
+    // into year, set, card number and player
+    function parseCardNameAttributes(cardName) {
+        const match = (cardName || '').match(/^(\d{4}(?:-\d{2,4})?)\s+(.+?)\s+#\s?(\S+)\s+(.+)$/);
+        if (match) {
+            return { year: match[1], set: match[2], cardNumber: match[3], player: match[4] };
+        }
+        
+        // Not in the usual order; take what we can recognize
+        const attributes = {};
+        const yearMatch = (cardName || '').match(/^(\d{4})\b/);
+        const numberMatch = (cardName || '').match(/#\s?(\S+)/);
+        if (yearMatch) attributes.year = yearMatch[1];
+        if (numberMatch) attributes.cardNumber = numberMatch[1];
+        return Object.keys(attributes).length > 0 ? attributes : null;
+    }
+    
+    // Helper function to read a population count from the first numeric pop link
+    function readPopLink(doc, selector, context) {
+        for (const link of doc.querySelectorAll(selector)) {
+            const popCount = link.textContent.trim();
+            if (/^\d+$/.test(popCount)) {
+                return { [context.gradeLabel]: popCount };
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Turn a scraped grade label to value text map into grade entries, the format priceData
+     * and popData are stored in
+     * @param {object} labelMap - e.g. { 'PSA 10': '$1,250.00' } or { 'PSA 10': '4,521' }
+     * @param {string} kind - 'price' or 'pop'
+     * @param {string} source - Where the values came from, e.g. the parser strategy name
+     * @param {number} asOf - When the values were observed (timestamp)
+     * @returns {Array} Entries ({ gradeKey, label, value, currency (prices only), source, asOf }).
+     *     gradeKey is the parseGrade key (null for rows like "Total"); values that aren't
+     *     numbers are dropped.
+     */
+    function createGradeEntries(labelMap, kind, source, asOf) {
+        const entries = [];
+        
+        for (const [label, text] of Object.entries(labelMap || {})) {
+            // Population counts never have decimals, so separators are just grouping
+            const value = kind === 'price' ?
+                parsePriceText(String(text)) :
+                parseInt(String(text).replace(/[,.\s]/g, ''), 10);
+            if (isNaN(value)) continue;
+            
+            const entry = { gradeKey: parseGrade(label).key, label: label, value: value };
+            if (kind === 'price') {
+                // Grader estimates are published in US dollars
+                entry.currency = 'USD';
+            }
+            entry.source = source || null;
+            entry.asOf = asOf;
+            entries.push(entry);
+        }
+        
+        return entries;
+    }
+    
+    /**
+     * Return priceData or popData as grade entries, converting the label to text maps that
+     * older versions stored
+     * @param {Array|object} data - Grade entries, or a label to text map
+     * @param {string} kind - 'price' or 'pop'
+     * @param {string} source - Source to record for converted values
+     * @param {number} asOf - When converted values were observed (timestamp)
+     * @returns {Array} Grade entries
+     */
+    function normalizeGradeEntries(data, kind, source, asOf) {
+        return Array.isArray(data) ? data : createGradeEntries(data, kind, source, asOf);
+    }
+    
+    // Helper function to get sibling and nearby elements
+    function getSiblingElements(element) {
+        const siblings = [];
+        
+        // Get direct siblings
+        let sibling = element.nextElementSibling;
+        if (sibling) siblings.push(sibling);
+        
+        sibling = element.previousElementSibling;
+        if (sibling) siblings.push(sibling);
+        
+        // Get parent siblings if available
+        if (element.parentElement) {
+            sibling = element.parentElement.nextElementSibling;
+            if (sibling) siblings.push(sibling);
+            
+            sibling = element.parentElement.previousElementSibling;
+            if (sibling) siblings.push(sibling);
+        }
+        
+        // Add children of parent (other siblings)
+        if (element.parentElement) {
+            const children = element.parentElement.children;
+            for (const child of children) {
+                if (child !== element) siblings.push(child);
+            }
+        }
+        
+        return siblings;
+    }
+    
+    // Helper function to score elements by proximity to population keywords
+    function getPopKeywordProximityScore(element, keywords) {
+        let score = 0;
+        
+        // Check element's own text
+        const ownText = element.textContent.toLowerCase();
+        for (const keyword of keywords) {
+            if (ownText.includes(keyword)) {
+                score += 10;
+                break;
+            }
+        }
+        
+        // Check parent
+        if (element.parentElement) {
+            const parentText = element.parentElement.textContent.toLowerCase();
+            for (const keyword of keywords) {
+                if (parentText.includes(keyword)) {
+                    score += 5;
+                    break;
+                }
+            }
+        }
+        
+        // Check siblings
+        const siblings = getSiblingElements(element);
+        for (const sibling of siblings) {
+            const siblingText = sibling.textContent.toLowerCase();
+            for (const keyword of keywords) {
+                if (siblingText.includes(keyword)) {
+                    score += 3;
+                    break;
+                }
+            }
+        }
+        
+        return score;
+    }
+    
+    // Let Node test runners (e.g. with jsdom) load the parser without an eBay page
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = {
+            PSAParser: PSAParser,
+            parseGrade: parseGrade,
+            hasMeaningfulCertData: hasMeaningfulCertData,
+            getPopulationStats: getPopulationStats,
+            isLowConfidencePopEntry: isLowConfidencePopEntry,
+            RequestManager: RequestManager,
+            FETCH_ERRORS: FETCH_ERRORS,
+            parseUSDInput: parseUSDInput
+        };
+        return;
+    }
+
+    SettingsManager.applyToConfig();
+    GM_registerMenuCommand('PSA Lookup Settings', openSettingsDialog);
+    GM_registerMenuCommand('PSA Cache Manager', openCacheBrowser);
+    GM_registerMenuCommand('PSA Batch Lookup', () => openBatchLookupDialog());
+    GM_registerMenuCommand('PSA Collection', openCollectionDialog);
+    
+    // Wait for the page to fully load
+    window.addEventListener('load', function() {
+        // eBay renders parts of the listing after load, so wait until they are there
+        PageWatcher.start(initScript);
+        
+        // Watched certs are re-checked from any eBay page the script runs on
+        if (SettingsManager.get('enableWatchlist')) {
+            WatchlistManager.recheckStale();
+        }
+    });
+
+    function initScript() {
+        console.log('PSA Certification Lookup script initialized');
+        
+        // Search and category pages get a badge per result instead of the full panel
+        if (isSearchResultsPage()) {
+            if (SettingsManager.get('enableSearchBadges')) {
+                initSearchResults();
+            }
+            return;
+        }
+        
+        // Check which grading company, if any, graded this item
+        const grader = detectGrader();
+        
+        if (!grader) {
+            console.log('This does not appear to be a graded item');
+            return;
+        }
+        
+        // Detection can take a few seconds when it has to open eBay's PSA data panel, and
+        // the listing may change in the meantime
+        const generation = PageWatcher.generation;
+        
+        CertDetector.detect(grader).then(result => {
+            if (!PageWatcher.isCurrent(generation)) return;
+            
+            CertDetector.listing = {
+                graderId: grader.id,
+                candidates: result.best ? [result.best].concat(result.alternatives) : []
+            };
+            
+            if (!result.best) {
+                console.log(`${grader.name} item detected, but no cert number found. Adding manual entry button.`);
+                addManualCertEntryButton(grader.id);
+                return;
+            }
+            
+            // A lot is looked up as a whole rather than one candidate at a time
+            if (isLotListing() && getLotCandidates().length > 1) {
+                console.log(`Lot listing with ${getLotCandidates().length} of ${CertDetector.listing.candidates.length} ` +
+                    `${grader.name} cert numbers confident enough to include`);
+                fetchLotData(grader.id);
+                return;
+            }
+            
+            console.log(`Found ${grader.name} certification number ${result.best.certNumber} in ${result.best.source} ` +
+                `(confidence ${result.best.confidence.toFixed(2)})`);
+            if (result.alternatives.length > 0) {
+                console.log('Other cert number candidates:', result.alternatives);
+            }
+            fetchPSAData(result.best.certNumber, grader.id);
+        }).catch(e => {
+            console.error('Cert number detection failed:', e);
+            addManualCertEntryButton(grader.id);
+        });
+    }
+    
+    /**
+     * Work out which grading company the listing's slab is from
+     * @returns {object|null} Grader definition, or null if the item doesn't look graded
+     */
+    function detectGrader() {
+        // The Professional Grader item specific names the company outright
+        const graderField = document.querySelector('.ux-labels-values--professionalGrader .ux-labels-values__values-content');
+        if (graderField) {
+            const grader = detectGraderInText(graderField.textContent);
+            if (grader) return grader;
+        }
+        
+        // Otherwise use whichever grader the title mentions first
+        const title = document.querySelector('.x-item-title__mainTitle');
+        if (title) {
+            const grader = detectGraderInText(title.textContent);
+            if (grader) return grader;
+        }
+        
+        // Fall back to the broader PSA checks, which also catch eBay's PSA data widgets
+        return checkIfPsaItem() ? GRADERS.psa : null;
+    }
+    
+    /**
+     * Find the grader mentioned earliest in a piece of text
+     * @param {string} text - Text to search
+     * @returns {object|null} Grader definition or null if no grader is mentioned
+     */
+    function detectGraderInText(text) {
+        let firstGrader = null;
+        let firstIndex = Infinity;
+        
+        for (const grader of Object.values(GRADERS)) {
+            const match = (text || '').match(grader.detectPattern);
+            if (match && match.index < firstIndex) {
+                firstGrader = grader;
+                firstIndex = match.index;
+            }
+        }
+        
+        return firstGrader;
+    }
+    
+    /**
+     * Get the text of the seller's description. eBay shows it in a frame (#desc_ifr) served
+     * from ebaydesc.com, which the page can't read, so unless the frame happens to be on the
+     * same origin the description document is fetched separately.
+     * @returns {Promise<string>} Description text and photo alt text, or '' if there is none
+     */
+    function getDescriptionText() {
+        const frame = document.querySelector('#desc_ifr');
+        if (!frame) return Promise.resolve('');
+        
+        // A frame that hasn't loaded yet still shows an empty about:blank document
+        try {
+            const body = frame.contentDocument ? frame.contentDocument.body : null;
+            if (body && body.textContent.trim()) {
+                return Promise.resolve(getDocumentText(body));
+            }
+        } catch (e) {
+            console.log('Item description frame is not readable, fetching it instead');
+        }
+        
+        const src = frame.getAttribute('src') || frame.getAttribute('data-src');
+        if (!src || !/^https?:/.test(src)) return Promise.resolve('');
+        
+        return new Promise(resolve => {
+            console.log('Fetching item description from:', src);
+            GM_xmlhttpRequest({
+                method: 'GET',
+                url: src,
+                timeout: DETECTION_CONFIG.descriptionTimeout,
+                onload: response => {
+                    if (response.status !== 200) {
+                        console.log('Could not fetch item description, status:', response.status);
+                        resolve('');
+                        return;
+                    }
+                    const doc = new DOMParser().parseFromString(response.responseText, 'text/html');
+                    resolve(doc.body ? getDocumentText(doc.body) : '');
+                },
+                onerror: () => {
+                    console.log('Could not fetch item description');
+                    resolve('');
+                },
+                ontimeout: () => {
+                    console.log('Item description request timed out');
+                    resolve('');
+                }
+            });
+        });
+    }
+    
+    // Helper function to get the readable text of an element, followed by its images' alt text
+    function getDocumentText(root) {
+        const parts = [];
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentNode.closest('script, style, noscript') ?
+                NodeFilter.FILTER_REJECT :
+                NodeFilter.FILTER_ACCEPT
+        });
+        
+        let node;
+        while ((node = walker.nextNode())) {
+            parts.push(node.nodeValue);
+        }
+        for (const image of root.querySelectorAll('img[alt]')) {
+            parts.push(image.alt);
+        }
+        
+        return parts.join('\n');
+    }
+    
+    /**
+     * Check whether the listing sells several slabs at once, judging by its title
+     * @returns {boolean} True for lot listings
+     */
+    function isLotListing() {
+        const title = document.querySelector('.x-item-title__mainTitle');
+        return !!title && DETECTION_CONFIG.lotTitlePattern.test(title.textContent);
+    }
+    
+    /**
+     * Read how many cards a lot listing's title says it has ("Lot of 5", "3 card lot")
+     * @returns {number|null} Number of cards, or null if the title doesn't say
+     */
+    function getLotSize() {
+        const title = document.querySelector('.x-item-title__mainTitle');
+        const match = title && title.textContent.match(/\b(?:lot|set|bundle)\s+of\s+(\d+)|\b(\d+)\s*(?:cards?|slabs?)\b/i);
+        return match ? parseInt(match[1] || match[2], 10) : null;
+    }
+    
+    /**
+     * Pick the detected cert numbers that make up a lot listing's value: those with at least
+     * one match strong enough to count (see DETECTION_CONFIG.minLotCertConfidence)
+     * @returns {Array} Candidates from CertDetector.listing, most likely first
+     */
+    function getLotCandidates() {
+        const listing = CertDetector.listing;
+        if (!listing) return [];
+        
+        return listing.candidates
+            .filter(candidate => candidate.lotEligible)
+            .slice(0, DETECTION_CONFIG.maxLotCerts);
+    }
+    
+    /**
+     * Find every cert number for a grader in free text such as a title or description
+     * @param {string} text - Text to search
+     * @param {object} grader - Grader definition from GRADERS
+     * @returns {Array} Matches ({ certNumber, snippet }) in the order the patterns are tried,
+     *     without duplicates
+     */
+    function findCertNumbersInText(text, grader) {
+        const patterns = [
+            new RegExp(`${grader.name}\\s*(?:Cert(?:ification)?\\s*)?#\\s*(\\d[\\d-]{6,11})`, 'gi'),
+            /Cert(?:ificate|ification)?\s*(?:#|No\.?|Number)?\s*:?\s*(\d[\d-]{6,11})/gi,
+            /Serial\s*(?:#|No\.?|Number)?\s*:?\s*(\d[\d-]{6,11})/gi,
+            /Authentication\s*(?:#|No\.?|Number)?\s*:?\s*(\d[\d-]{6,11})/gi,
+            new RegExp(`${grader.name}\\s+(\\d{7,10})(?![\\d-])`, 'gi')
+        ];
+        const matches = [];
+        
+        for (const pattern of patterns) {
+            for (const match of (text || '').matchAll(pattern)) {
+                // Some graders print cert numbers with a dash (e.g. CGC 1234567-001)
+                const certNumber = match[1].replace(/-/g, '');
+                if (grader.isLikelyCertNumber(certNumber) && !matches.some(m => m.certNumber === certNumber)) {
+                    matches.push({ certNumber: certNumber, snippet: getTextSnippet(text, match.index, match[0].length) });
+                }
+            }
+        }
+        
+        return matches;
+    }
+    
+    /**
+     * Find a cert number for a grader in free text such as a title or description
+     * @param {string} text - Text to search
+     * @param {object} grader - Grader definition from GRADERS
+     * @returns {string|null} Cert number or null if none was found
+     */
+    function extractCertNumberFromText(text, grader) {
+        const matches = findCertNumbersInText(text, grader);
+        return matches.length > 0 ? matches[0].certNumber : null;
+    }
+    
+    // Helper function to cut a short, single-line piece of text around a match
+    function getTextSnippet(text, index, length) {
+        const start = Math.max(0, index - 30);
+        const end = Math.min(text.length, index + length + 30);
+        return (start > 0 ? '…' : '') +
+            text.slice(start, end).replace(/\s+/g, ' ').trim() +
+            (end < text.length ? '…' : '');
+    }
+    
+    // Cert number detection. Every detector looks in one place on the listing and returns
+    // candidates; their weights are scaled by the detector's confidence, the same cert found
+    // by several detectors is merged, and the best-ranked candidate wins. Detectors that
+    // click things on the page only run when the passive ones aren't sure enough.
+    const CertDetector = {
+        // Ranked candidates for the listing on screen ({ graderId, candidates }), for the chooser
+        listing: null,
+        
+        detectors: [
+            {
+                name: 'itemSpecifics',
+                label: 'item specifics',
+                confidence: 0.95,
+                detect: grader => {
+                    const candidates = [];
+                    const section = document.querySelector('.ux-layout-section-evo--features, .ux-layout-section--features');
+                    if (!section) return candidates;
+                    
+                    // Fields that hold nothing but the cert number
+                    const certFields = section.querySelectorAll(
+                        '.ux-labels-values--certificationNumber .ux-labels-values__values-content div span, ' +
+                        '.ux-labels-values--authenticationGradingNumber .ux-labels-values__values-content div span, ' +
+                        '.ux-labels-values--professionalGrader .ux-labels-values__values-content div span'
+                    );
+                    for (const element of certFields) {
+                        const text = element.textContent.trim();
+                        const certNumber = text.replace(/[\s-]/g, '');
+                        if (grader.isLikelyCertNumber(certNumber)) {
+                            candidates.push({ certNumber: certNumber, snippet: text, weight: 1 });
+                        }
+                    }
+                    
+                    // Any other value mentioning a cert, e.g. a grade of "PSA 10 #12345678"
+                    for (const element of section.querySelectorAll('.ux-labels-values__values-content div span')) {
+                        for (const match of findCertNumbersInText(element.textContent, grader)) {
+                            candidates.push({ certNumber: match.certNumber, snippet: match.snippet, weight: 0.85 });
+                        }
+                    }
+                    
+                    return candidates;
+                }
+            },
+            {
+                name: 'keyValue',
+                label: 'key-value field',
+                confidence: 0.85,
+                detect: grader => {
+                    const candidates = [];
+                    
+                    for (const element of document.querySelectorAll('.key-value__value')) {
+                        const text = element.textContent.trim();
+                        if (!/^\d+$/.test(text) || !grader.isLikelyCertNumber(text)) continue;
+                        
+                        // A number is much more likely to be the cert when its label says so
+                        const keyLabel = element.closest('.key-value') ?
+                            element.closest('.key-value').querySelector('.key-value__key') : null;
+                        const labelText = keyLabel ? keyLabel.textContent.trim() : '';
+                        const isCertLabel = /certification|cert|authentication|grading|serial/i.test(labelText) ||
+                            labelText.toLowerCase().includes(grader.name.toLowerCase());
+                        
+                        candidates.push({
+                            certNumber: text,
+                            snippet: labelText ? `${labelText}: ${text}` : text,
+                            weight: isCertLabel ? 1 : 0.5
+                        });
+                    }
+                    
+                    return candidates;
+                }
+            },
+            {
+                // eBay tags PSA slabs with ids like PSA::PSACERT::12345678 in data attributes
+                name: 'psaCertAttribute',
+                label: 'eBay PSA data',
+                confidence: 0.9,
+                graders: ['psa'],
+                detect: grader => {
+                    const candidates = [];
+                    
+                    for (const match of document.documentElement.innerHTML.matchAll(/PSA::PSACERT::(\d+)/gi)) {
+                        if (grader.isLikelyCertNumber(match[1])) {
+                            candidates.push({ certNumber: match[1], snippet: match[0], weight: 1 });
+                        }
+                    }
+                    
+                    return candidates;
+                }
+            },
+            {
+                name: 'title',
+                label: 'title',
+                confidence: 0.8,
+                detect: grader => {
+                    const titleElement = document.querySelector('.x-item-title__mainTitle span, .x-item-title__mainTitle');
+                    if (!titleElement) return [];
+                    
+                    return findCertNumbersInText(titleElement.textContent, grader)
+                        .map(match => ({ certNumber: match.certNumber, snippet: match.snippet, weight: 1 }));
+                }
+            },
+            {
+                // The seller's description, including the alt text of its photos
+                name: 'description',
+                label: 'description',
+                confidence: 0.7,
+                detect: async grader => {
+                    const text = await getDescriptionText();
+                    return findCertNumbersInText(text, grader)
+                        .map(match => ({ certNumber: match.certNumber, snippet: match.snippet, weight: 1 }));
+                }
+            },
+            {
+                // Sellers of lots often put each slab's cert number in the photo descriptions.
+                // A bare 8-10 digit number counts too, but only in photos mentioning the grader.
+                name: 'imageAlt',
+                label: 'photo alt text',
+                confidence: 0.6,
+                detect: grader => {
+                    const candidates = [];
+                    const altTexts = new Set();
+                    for (const image of document.querySelectorAll('.ux-image-carousel img[alt], .ux-image-filmstrip-carousel img[alt], .ux-image-grid img[alt], #PicturePanel img[alt]')) {
+                        altTexts.add(image.alt);
+                    }
+                    
+                    for (const altText of altTexts) {
+                        const matches = findCertNumbersInText(altText, grader);
+                        for (const match of matches) {
+                            candidates.push({ certNumber: match.certNumber, snippet: match.snippet, weight: 1 });
+                        }
+                        
+                        if (!grader.detectPattern.test(altText)) continue;
+                        for (const match of altText.matchAll(/(?:^|\D)(\d{8,10})(?!\d)/g)) {
+                            if (grader.isLikelyCertNumber(match[1]) && !matches.some(m => m.certNumber === match[1])) {
+                                candidates.push({ certNumber: match[1], snippet: getTextSnippet(altText, match.index, match[0].length), weight: 0.8 });
+                            }
+                        }
+                    }
+                    
+                    return candidates;
+                }
+            },
+            {
+                // Last passive resort: cert patterns in any small piece of text mentioning the
+                // grader. This includes the similar items eBay shows around the listing, so its
+                // matches never count towards a lot (see getLotCandidates).
+                name: 'pageText',
+                label: 'page text',
+                confidence: 0.5,
+                pageWide: true,
+                detect: grader => {
+                    const candidates = [];
+                    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+                        acceptNode: node => node.nodeValue.includes(grader.name) ?
+                            NodeFilter.FILTER_ACCEPT :
+                            NodeFilter.FILTER_REJECT
+                    });
+                    
+                    let node;
+                    while ((node = walker.nextNode())) {
+                        const element = node.parentNode;
+                        
+                        // Skip our own panel and large containers
+                        if (element.closest('#psa-data-container, #psa-manual-entry')) continue;
+                        if (element.children.length > 10 || element.textContent.length > 500) continue;
+                        
+                        for (const match of findCertNumbersInText(element.textContent, grader)) {
+                            candidates.push({ certNumber: match.certNumber, snippet: match.snippet, weight: 1 });
+                        }
+                    }
+                    
+                    return candidates;
+                }
+            },
+            {
+                // Clicks eBay's "Check PSA data" button and reads the panel it opens
+                name: 'psaDataModal',
+                label: '"Check PSA data" panel',
+                confidence: 0.85,
+                graders: ['psa'],
+                interactive: true,
+                detect: grader => readPSADataModal(grader)
+            },
+            {
+                // Reads the slab labels in the listing photos; the slowest detector, so it
+                // only runs when every other one came up empty
+                name: 'photoOcr',
+                label: 'photo OCR',
+                confidence: 0.6,
+                lastResort: true,
+                isEnabled: () => SettingsManager.get('enablePhotoOcr') && PhotoOCR.isAvailable(),
+                detect: grader => PhotoOCR.detect(grader)
+            }
+        ],
+        
+        /**
+         * Find the listing's cert number
+         * @param {object} grader - Grader definition from GRADERS
+         * @returns {Promise<object>} best candidate (or null) and the other alternatives, each
+         *     { certNumber, confidence, source, sources, snippet, lotEligible }
+         */
+        detect: async function(grader) {
+            const applicable = this.detectors.filter(detector =>
+                (!detector.graders || detector.graders.includes(grader.id)) &&
+                (!detector.isEnabled || detector.isEnabled()));
+            const candidates = [];
+            
+            // Passive detectors run side by side, so one waiting on the network doesn't hold
+            // up the rest
+            const passiveResults = await Promise.all(applicable
+                .filter(d => !d.interactive && !d.lastResort)
+                .map(detector => this.runDetector(detector, grader)));
+            passiveResults.forEach(matches => candidates.push(...matches));
+            
+            let ranked = this.rankCandidates(candidates);
+            
+            // Only click around the page when nothing passive was convincing
+            if (!ranked.length || ranked[0].confidence < DETECTION_CONFIG.acceptConfidence) {
+                for (const detector of applicable.filter(d => d.interactive)) {
+                    candidates.push(...await this.runDetector(detector, grader));
+                }
+                ranked = this.rankCandidates(candidates);
+            }
+            
+            if (!ranked.length) {
+                for (const detector of applicable.filter(d => d.lastResort)) {
+                    candidates.push(...await this.runDetector(detector, grader));
+                }
+                ranked = this.rankCandidates(candidates);
+            }
+            
+            console.log(`${grader.name} cert candidates:`, ranked);
+            
+            return {
+                best: ranked[0] || null,
+                alternatives: ranked.slice(1)
+            };
+        },
+        
+        /**
+         * Run one detector and turn its matches into scored candidates
+         * @param {object} detector - Entry in this.detectors
+         * @param {object} grader - Grader definition from GRADERS
+         * @returns {Promise<Array>} Candidates ({ certNumber, confidence, source, snippet, lotEligible })
+         */
+        runDetector: async function(detector, grader) {
+            try {
+                const matches = await detector.detect(grader);
+                return matches.map(match => {
+                    const confidence = detector.confidence * (match.weight === undefined ? 1 : match.weight);
+                    return {
+                        certNumber: match.certNumber,
+                        confidence: confidence,
+                        source: detector.label,
+                        snippet: match.snippet || '',
+                        lotEligible: !detector.pageWide && confidence >= DETECTION_CONFIG.minLotCertConfidence
+                    };
+                });
+            } catch (e) {
+                console.error(`Cert detector ${detector.name} failed:`, e);
+                return [];
+            }
+        },
+        
+        /**
+         * Merge candidates for the same cert and sort them, most likely first. A cert found
+         * in several places gets a small boost per extra source.
+         * @param {Array} candidates - Candidates from runDetector
+         * @returns {Array} Ranked candidates, with every source that found each cert
+         */
+        rankCandidates: function(candidates) {
+            const byCert = {};
+            
+            for (const candidate of candidates) {
+                const existing = byCert[candidate.certNumber];
+                if (!existing) {
+                    byCert[candidate.certNumber] = Object.assign({}, candidate, { sources: [candidate.source] });
+                    continue;
+                }
+                
+                if (!existing.sources.includes(candidate.source)) {
+                    existing.sources.push(candidate.source);
+                }
+                existing.lotEligible = existing.lotEligible || candidate.lotEligible;
+                if (candidate.confidence > existing.confidence) {
+                    existing.confidence = candidate.confidence;
+                    existing.source = candidate.source;
+                    existing.snippet = candidate.snippet;
+                }
+            }
+            
+            return Object.values(byCert)
+                .map(candidate => Object.assign(candidate, {
+                    confidence: Math.min(0.99,
+                        candidate.confidence + DETECTION_CONFIG.agreementBonus * (candidate.sources.length - 1))
+                }))
+                .sort((a, b) => b.confidence - a.confidence);
+        }
+    };
+    
+    /**
+     * Find eBay's "Check PSA data" (or PSA-related "See all") button
+     * @returns {Element|null} Button or link to click
+     */
+    function findPSADataButton() {
+        // The data attribute is the most reliable marker
+        const insightsButton = document.querySelector('button[data-clientpresentationmetadata*="CARD_INSIGHTS_PSA"]');
+        if (insightsButton) return insightsButton;
+        
+        // Otherwise a fake-link button in a PSA, cert or grade context
+        for (const link of document.querySelectorAll('button.fake-link[data-vi-tracking*="CLICK"]')) {
+            if (hasCertContext(link, 2)) {
+                console.log('Found PSA-related fake-link button:', link.textContent);
+                return link;
+            }
+        }
+        
+        // Or a "Check PSA data" / "See all" link near PSA text
+        for (const span of document.querySelectorAll('.ux-textspans--INLINE_LINK, span')) {
+            const text = span.textContent;
+            if ((text.includes('Check PSA data') || text.includes('See all')) &&
+                (text.includes('PSA') || hasCertContext(span.parentElement, 2))) {
+                console.log('Found span with PSA-related text:', text);
+                return span;
+            }
+        }
+        
+        return null;
+    }
+    
+    // Helper function to check whether an element or one of its ancestors mentions PSA, certs or grading
+    function hasCertContext(element, levels) {
+        for (let i = 0; i <= levels && element; i++) {
+            if (/psa|cert|grade|authentication/i.test(element.textContent)) return true;
+            element = element.parentElement;
+        }
+        return false;
+    }
+    
+    /**
+     * Click the "Check PSA data" button, wait for the panel it opens to show a cert number,
+     * then close it again
+     * @param {object} grader - PSA grader definition
+     * @returns {Promise<Array>} Matches ({ certNumber, snippet, weight }), empty if there is no
+     *     button or nothing turned up before DETECTION_CONFIG.modalTimeout
+     */
+    function readPSADataModal(grader) {
+        const button = findPSADataButton();
+        if (!button) return Promise.resolve([]);
+        
+        console.log('Found "Check PSA data" link, clicking it to reveal the cert number');
+        
+        return new Promise(resolve => {
+            const observer = new MutationObserver(check);
+            let timer = null;
+            
+            function finish(matches) {
+                observer.disconnect();
+                clearTimeout(timer);
+                closeEbayModal();
+                resolve(matches);
+            }
+            
+            function check() {
+                const matches = findCertNumbersInModals(grader);
+                if (matches.length > 0) finish(matches);
+            }
+            
+            observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+            timer = setTimeout(() => {
+                console.log('No PSA cert found after clicking link');
+                finish([]);
+            }, DETECTION_CONFIG.modalTimeout);
+            
+            try {
+                button.click();
+            } catch (e) {
+                console.log('Error clicking PSA data link:', e);
+                finish([]);
+                return;
+            }
+            check();
+        });
+    }
+    
+    /**
+     * Look for cert numbers in open dialogs
+     * @param {object} grader - PSA grader definition
+     * @returns {Array} Matches ({ certNumber, snippet, weight })
+     */
+    function findCertNumbersInModals(grader) {
+        const matches = [];
+        const modals = Array.from(document.querySelectorAll(
+            '.modal-content, .popup-content, .dialog-content, .psa-data, [role="dialog"], [aria-modal="true"]'
+        )).filter(modal => /psa|certification|graded|authentication/i.test(modal.textContent));
+        
+        for (const modal of modals) {
+            // Explicit cert patterns and PSA::PSACERT:: ids
+            for (const match of findCertNumbersInText(modal.textContent, grader)) {
+                matches.push({ certNumber: match.certNumber, snippet: match.snippet, weight: 1 });
+            }
+            for (const match of modal.innerHTML.matchAll(/PSA::PSACERT::(\d+)/gi)) {
+                if (grader.isLikelyCertNumber(match[1])) {
+                    matches.push({ certNumber: match[1], snippet: match[0], weight: 1 });
+                }
+            }
+            
+            // Table rows and key-value pairs about the certification
+            for (const row of modal.querySelectorAll('tr, .key-value')) {
+                const rowText = row.textContent.replace(/\s+/g, ' ').trim();
+                const numberMatch = rowText.match(/(?:^|\D)(\d{8,10})(?!\d)/);
+                if (numberMatch && /certification|cert|authentication|psa|graded/i.test(rowText) &&
+                    grader.isLikelyCertNumber(numberMatch[1])) {
+                    matches.push({ certNumber: numberMatch[1], snippet: rowText.slice(0, 80), weight: 0.8 });
+                }
+            }
+        }
+        
+        return matches;
+    }
+    
+    /**
+     * Close an eBay dialog opened while looking for the cert number
+     */
+    function closeEbayModal() {
+        try {
+            console.log('Attempting to close PSA data modal');
+            
+            // Close buttons, X icons, then anything with "close" in its class or id
+            const closeSelectors = [
+                'button.close, .close-button, .modal-close, [aria-label="Close"], button[aria-label*="close" i], button[class*="close" i]',
+                '.icon-close, .x-icon, svg[aria-label="Close"], svg[aria-label*="close" i], [data-testid*="close" i]',
+                '[class*="close" i], [id*="close" i]'
+            ];
+            for (const selector of closeSelectors) {
+                for (const element of document.querySelectorAll(selector)) {
+                    // Skip hidden elements and our own dialogs
+                    if (element.offsetParent !== null && !element.closest('.psa-modal-overlay')) {
+                        element.click();
+                        return;
+                    }
+                }
+            }
+            
+            // Otherwise press Escape
+            document.dispatchEvent(new KeyboardEvent('keydown', {
+                key: 'Escape',
+                code: 'Escape',
+                keyCode: 27,
+                which: 27,
+                bubbles: true,
+                cancelable: true
+            }));
+        } catch (e) {
+            console.log('Error while trying to close modal:', e);
+        }
+    }
+    
+    // Offline OCR of the listing photos with Tesseract.js. The library, its worker, the
+    // WebAssembly core and the English traineddata all come from the script's @resource
+    // entries, which the userscript manager downloads once at install time. The library is
+    // only evaluated when a listing actually needs OCR.
+    const PhotoOCR = {
+        // Tesseract.js namespace, once loadLibrary has run
+        library: null,
+        
+        /**
+         * Check whether the userscript manager can hand us the OCR resources
+         * @returns {boolean} True if photos can be read
+         */
+        isAvailable: function() {
+            return typeof GM_getResourceText === 'function' && typeof GM_getResourceURL === 'function';
+        },
+        
+        /**
+         * Evaluate the bundled Tesseract.js library the first time it's needed
+         * @returns {object} Tesseract.js namespace (createWorker, OEM, ...)
+         */
+        loadLibrary: function() {
+            if (!this.library) {
+                // The UMD bundle attaches itself to `self` when there is no module system, so
+                // hand it a holder object instead of the page's window
+                const holder = {};
+                new Function('self', 'exports', 'module', 'define', GM_getResourceText('tesseractLib'))(holder);
+                if (!holder.Tesseract) {
+                    throw new Error('Tesseract.js did not load');
+                }
+                this.library = holder.Tesseract;
+            }
+            return this.library;
+        },
+        
+        /**
+         * Start a Tesseract worker from the bundled resources
+         * @returns {Promise<object>} Tesseract worker; terminate it when done
+         */
+        createWorker: async function() {
+            const Tesseract = this.loadLibrary();
+            
+            // Tesseract.js only takes traineddata from a directory URL, and appends
+            // "/eng.traineddata.gz" to it. A resource URL with a trailing "#" turns that into
+            // a fragment, which is ignored when the URL is fetched. Likewise, a core path that
+            // doesn't end in "js" would be treated as a directory.
+            const worker = await Tesseract.createWorker('eng', Tesseract.OEM.LSTM_ONLY, {
+                workerPath: GM_getResourceURL('tesseractWorker'),
+                corePath: GM_getResourceURL('tesseractCore') + '#.js',
+                langPath: GM_getResourceURL('tesseractEng') + '#',
+                cacheMethod: 'none',
+                logger: message => console.log('OCR:', message.status, Math.round((message.progress || 0) * 100) + '%')
+            });
+            
+            // Cert numbers are all we're after
+            await worker.setParameters({ tessedit_char_whitelist: '0123456789 #' });
+            return worker;
+        },
+        
+        /**
+         * Get the listing's gallery photos, main photo first
+         * @returns {Array<string>} Image URLs, at most OCR_CONFIG.maxImages
+         */
+        getImageUrls: function() {
+            const urls = [];
+            for (const image of document.querySelectorAll('.ux-image-carousel img, #PicturePanel img')) {
+                // Photos further along the carousel are lazy-loaded, so src may be a placeholder
+                const url = image.getAttribute('data-zoom-src') || image.getAttribute('data-src') || image.src;
+                if (url && /^https?:/.test(url) && !urls.includes(url)) {
+                    urls.push(url);
+                }
+            }
+            return urls.slice(0, OCR_CONFIG.maxImages);
+        },
+        
+        /**
+         * Download a photo. eBay's image host doesn't send CORS headers, so the page can't
+         * read the pixels of the images it already shows.
+         * @param {string} url - Image URL
+         * @returns {Promise<ImageBitmap>} Decoded image
+         */
+        loadImage: function(url) {
+            return new Promise((resolve, reject) => {
+                GM_xmlhttpRequest({
+                    method: 'GET',
+                    url: url,
+                    responseType: 'blob',
+                    timeout: REQUEST_CONFIG.timeout,
+                    onload: response => {
+                        if (response.status !== 200) {
+                            reject(new Error(`Image request failed with status ${response.status}`));
+                            return;
+                        }
+                        createImageBitmap(response.response).then(resolve, reject);
+                    },
+                    onerror: () => reject(new Error('Image request failed')),
+                    ontimeout: () => reject(new Error('Image request timed out'))
+                });
+            });
+        },
+        
+        /**
+         * Cut one region out of a photo, scaled up and in greyscale for the OCR engine
+         * @param {ImageBitmap} image - Decoded photo
+         * @param {object} region - Entry in OCR_CONFIG.labelRegions
+         * @returns {HTMLCanvasElement} Cropped image
+         */
+        cropRegion: function(image, region) {
+            const sourceX = Math.round(image.width * region.x);
+            const sourceY = Math.round(image.height * region.y);
+            const sourceWidth = Math.round(image.width * region.width);
+            const sourceHeight = Math.round(image.height * region.height);
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = sourceWidth * OCR_CONFIG.scale;
+            canvas.height = sourceHeight * OCR_CONFIG.scale;
+            
+            const context = canvas.getContext('2d');
+            context.filter = 'grayscale(1) contrast(1.5)';
+            context.drawImage(image, sourceX, sourceY, sourceWidth, sourceHeight, 0, 0, canvas.width, canvas.height);
+            return canvas;
+        },
+        
+        /**
+         * Read the listing photos and collect 8-10 digit numbers the grader could have issued
+         * @param {object} grader - Grader definition from GRADERS
+         * @returns {Promise<Array>} Matches ({ certNumber, snippet, weight }) for CertDetector
+         */
+        detect: async function(grader) {
+            const urls = this.getImageUrls();
+            if (!urls.length) return [];
+            
+            const matches = [];
+            const status = createLoadingIndicator(grader.id);
+            status.firstChild.textContent = `Reading the cert number from ${urls.length} listing photo${urls.length === 1 ? '' : 's'}...`;
+            insertPSADataContainer(status);
+            
+            let worker = null;
+            try {
+                worker = await this.createWorker();
+                
+                for (let i = 0; i < urls.length; i++) {
+                    try {
+                        const image = await this.loadImage(urls[i]);
+                        const found = await withTimeout(this.readImage(worker, image, grader), OCR_CONFIG.imageTimeout);
+                        for (const match of found) {
+                            if (!matches.some(m => m.certNumber === match.certNumber)) {
+                                matches.push({ certNumber: match.certNumber, snippet: `photo ${i + 1}: ${match.snippet}`, weight: 1 });
+                            }
+                        }
+                    } catch (e) {
+                        console.log(`Could not read listing photo ${i + 1}:`, e.message);
+                    }
+                }
+            } finally {
+                if (worker) worker.terminate();
+                status.remove();
+            }
+            
+            return matches;
+        },
+        
+        /**
+         * Run OCR over each label region of one photo, stopping at the first region that
+         * has a cert number in it
+         * @param {object} worker - Tesseract worker
+         * @param {ImageBitmap} image - Decoded photo
+         * @param {object} grader - Grader definition from GRADERS
+         * @returns {Promise<Array>} Matches ({ certNumber, snippet })
+         */
+        readImage: async function(worker, image, grader) {
+            for (const region of OCR_CONFIG.labelRegions) {
+                const result = await worker.recognize(this.cropRegion(image, region));
+                const text = result.data.text || '';
+                const matches = [];
+                
+                for (const match of text.matchAll(/(?:^|\D)(\d{8,10})(?!\d)/g)) {
+                    if (grader.isLikelyCertNumber(match[1]) && !matches.some(m => m.certNumber === match[1])) {
+                        matches.push({ certNumber: match[1], snippet: getTextSnippet(text, match.index, match[0].length) });
+                    }
+                }
+                
+                if (matches.length) return matches;
+            }
+            
+            return [];
+        }
+    };
+    
+    /**
+     * Reject a promise that hasn't settled in time
+     * @param {Promise} promise - Promise to wait for
+     * @param {number} timeout - Time limit in milliseconds
+     * @returns {Promise} Settles like promise, or rejects after timeout
+     */
+    function withTimeout(promise, timeout) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out after ${timeout}ms`)), timeout);
+            promise.then(value => {
+                clearTimeout(timer);
+                resolve(value);
+            }, error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+    
+    function checkIfPsaItem() {
+        // Check for PSA indicators in the page
+        
+        // Check for "Check PSA data" or "See all" button
+        const psaDataButton = document.querySelector('button[data-clientpresentationmetadata*="CARD_INSIGHTS_PSA"]') || 
+                              document.querySelector('button.fake-link[data-vi-tracking*="CLICK"]');
+        if (psaDataButton) return true;
+        
+        // Check for PSA text in spans
+        const spans = document.querySelectorAll('.ux-textspans, span');
+        for (const span of spans) {
+            if (span.textContent.includes('PSA') || 
+                span.textContent.includes('Graded - PSA') || 
+                span.textContent.includes('Check PSA data')) {
+                return true;
+            }
+        }
+        
+        // Check for PSA in item specifics
+        const itemSpecifics = document.querySelector('.ux-layout-section-evo--features');
+        if (itemSpecifics && itemSpecifics.textContent.includes('PSA')) {
+            return true;
+        }
+        
+        // Check title for PSA
+        const title = document.querySelector('.x-item-title__mainTitle');
+        if (title && title.textContent.includes('PSA')) {
+            return true;
+        }
+        
+        return false;
+    }
+
+    // Helper function to validate if a number is likely a PSA certification number
+    function isLikelyPSACertNumber(number) {
+        // PSA cert numbers are typically 8-10 digits
+        if (!number || typeof number !== 'string') return false;
+        
+        // Check length - PSA cert numbers are typically 8-10 digits
+        // eBay item numbers are typically 12 digits
+        if (number.length < 8 || number.length > 10) return false;
+        
+        // Check if it's all digits
+        if (!/^\d+$/.test(number)) return false;
+        
+        // Avoid common eBay item ID patterns
+        // eBay item IDs often start with specific digits like 1, 2, 3, or 4
+        // and are typically 12 digits long
+        if (number.length === 12 && /^[1-4]\d{11}$/.test(number)) return false;
+        
+        return true;
+    }
+    
+    function fetchPSAData(certNumber, graderId) {
+        // Drop the result if eBay has moved on to another listing in the meantime
+        const generation = PageWatcher.generation;
+        function isCurrentListing() {
+            if (PageWatcher.isCurrent(generation)) return true;
+            console.log('Listing changed, ignoring result for cert', certNumber);
+            return false;
+        }
+        
+        requestPSAData(certNumber, {
+            onFetchStart: function() {
+                if (!isCurrentListing()) return;
+                
+                // Create a loading indicator
+                const loadingDiv = createLoadingIndicator(graderId);
+                insertPSADataContainer(loadingDiv);
+            },
+            onLoad: function(psaData) {
+                if (isCurrentListing()) displayPSAData(psaData);
+            },
+            onError: function(error) {
+                if (isCurrentListing()) displayError(error);
+            }
+        }, graderId);
+    }
+    
+    /**
+     * Look up the cert numbers that make up a lot listing (see getLotCandidates) and show
+     * them in one panel
+     * @param {string} graderId - Grader id from GRADERS
+     */
+    function fetchLotData(graderId) {
+        const generation = PageWatcher.generation;
+        const grader = getGrader(graderId);
+        const results = getLotCandidates()
+            .map(candidate => ({ certNumber: candidate.certNumber, psaData: null, error: null }));
+        let finished = 0;
+        
+        const loadingDiv = createLoadingIndicator(graderId);
+        const loadingText = loadingDiv.firstChild;
+        loadingText.textContent = `Loading ${grader.name} data for ${results.length} certs...`;
+        insertPSADataContainer(loadingDiv);
+        
+        function complete() {
+            finished++;
+            if (!PageWatcher.isCurrent(generation)) return;
+            
+            loadingText.textContent = `Loading ${grader.name} data: ${finished} of ${results.length} certs...`;
+            if (finished === results.length) {
+                displayLotData(results, grader);
+            }
+        }
+        
+        for (const result of results) {
+            PSARequestQueue.enqueue(result.certNumber, {
+                onLoad: function(psaData) {
+                    result.psaData = psaData;
+                    complete();
+                },
+                onError: function(error) {
+                    result.error = error;
+                    complete();
+                }
+            }, graderId);
+        }
+    }
+    
+    /**
+     * Load cert data from the cache or the grader's website without touching the page
+     * @param {string} certNumber - Certification number
+     * @param {object} callbacks - onLoad(psaData), onError(error) and optional onFetchStart()
+     * @param {string} graderId - Grader id from GRADERS (default: 'psa')
+     * @param {object} options - Optional; forceRefresh fetches from the website even when the
+     *     cert is cached. The cached entry stays in place if the fetch fails.
+     */
+    function requestPSAData(certNumber, callbacks, graderId, options) {
+        const grader = getGrader(graderId);
+        
+        // First check if we have cached data
+        const cachedData = options && options.forceRefresh ? null : CacheManager.getData(certNumber, grader.id);
+        if (cachedData) {
+            console.log(`Using cached ${grader.name} data for cert:`, certNumber);
+            callbacks.onLoad(cachedData);
+            return;
+        }
+        
+        // No cached data, need to fetch from the grader's website.
+        // Graders may list fallback URL formats to try if the primary one is not found.
+        const certUrls = grader.getCertUrls(certNumber);
+        
+        if (callbacks.onFetchStart) {
+            callbacks.onFetchStart();
+        }
+        
+        function tryUrl(index) {
+            const url = certUrls[index];
+            console.log(`Fetching ${grader.name} data from:`, url);
+            
+            RequestManager.get(url, {
+                onLoad: function(response) {
+                    console.log(`${grader.name} response received, status:`, response.status);
+                    const psaData = grader.parseHTML(response.responseText, certNumber);
+                    psaData.grader = grader.id;
+                    
+                    // A page we couldn't read anything from must not be cached, or the
+                    // bad result would stick around until the cache expires
+                    if (!hasMeaningfulCertData(psaData)) {
+                        console.error(`${grader.name} page for cert ${certNumber} had no recognizable cert data`);
+                        callbacks.onError(createFetchError(FETCH_ERRORS.NO_DATA, 'No cert data found on page', {
+                            status: response.status,
+                            url: url,
+                            certNumber: certNumber,
+                            grader: grader.id
+                        }));
+                        return;
+                    }
+                    
+                    // Cache the data for future use
+                    CacheManager.saveData(certNumber, psaData, grader.id);
+                    HistoryManager.addSnapshot(certNumber, psaData, grader.id);
+                    
+                    callbacks.onLoad(psaData);
+                },
+                onError: function(error) {
+                    // Only a missing page is worth trying the alternative URL format for;
+                    // rate limits and blocks would hit the fallback just the same
+                    if (error.type === FETCH_ERRORS.NOT_FOUND && index + 1 < certUrls.length) {
+                        tryUrl(index + 1);
+                        return;
+                    }
+                    
+                    error.certNumber = certNumber;
+                    error.grader = grader.id;
+                    callbacks.onError(error);
+                }
+            });
+        }
+        
+        tryUrl(0);
+    }
+    
+    /**
+     * Check whether parsed cert data has anything in it beyond the parser's placeholders.
+     * The card name alone doesn't count: error pages have headings too. When the parser
+     * recorded parseInfo, the field must also have come from a strategy at least
+     * CACHE_CONFIG.minParseConfidence confident.
+     * @param {object} psaData - Parsed cert data
+     * @returns {boolean} True if the grade, a price or a population figure was found
+     */
+    function hasMeaningfulCertData(psaData) {
+        const found = {
+            grade: !!psaData.grade && psaData.grade !== 'Unknown Grade',
+            priceData: (psaData.priceData || []).length > 0,
+            popData: (psaData.popData || []).length > 0
+        };
+        
+        // Only the PSA parser records how it found each field
+        const fieldInfo = psaData.parseInfo && psaData.parseInfo.fields;
+        
+        return Object.keys(found).some(field => found[field] &&
+            (!fieldInfo || (!!fieldInfo[field] && fieldInfo[field].confidence >= CACHE_CONFIG.minParseConfidence)));
+    }
+    
+    /**
+     * Create an error for onError callbacks of cert requests
+     * @param {string} type - One of FETCH_ERRORS
+     * @param {string} message - Technical description, for logs
+     * @param {object} details - Optional status, url, certNumber and grader
+     * @returns {Error} Error with a type property and the given details
+     */
+    function createFetchError(type, message, details) {
+        const error = new Error(message);
+        error.type = type;
+        Object.assign(error, details || {});
+        return error;
+    }
+    
+    /**
+     * Describe a failed cert request in terms the user can act on
+     * @param {Error|string} error - Error from createFetchError, or a plain message
+     * @returns {string} Message to show
+     */
+    function getFetchErrorMessage(error) {
+        if (typeof error === 'string') {
+            return error;
+        }
+        
+        const grader = getGrader(error.grader);
+        const cert = error.certNumber ? ` #${error.certNumber}` : '';
+        
+        switch (error.type) {
+            case FETCH_ERRORS.NOT_FOUND:
+                return `${grader.name} has no record of cert${cert}. The number might be an eBay item ID rather than a ${grader.name} certification number. Please verify the certification number is correct.`;
+            case FETCH_ERRORS.RATE_LIMITED:
+                return `${grader.name} is limiting requests right now and still refused after ${REQUEST_CONFIG.maxRetries} retries. Wait a few minutes and retry.`;
+            case FETCH_ERRORS.BLOCKED:
+                return `${grader.name} blocked the request with a bot check or captcha. Open the cert page in a new tab to clear it, then retry.`;
+            case FETCH_ERRORS.LOGIN_REQUIRED:
+                return `${grader.name} asked for a login instead of showing the cert. Open the cert page in a new tab and sign in, then retry.`;
+            case FETCH_ERRORS.NO_DATA:
+                return `The ${grader.name} page for cert${cert} loaded, but no card data could be read from it. Open the cert page to check it, then retry.`;
+            case FETCH_ERRORS.NETWORK:
+                return `Could not reach the ${grader.name} website (${error.message.toLowerCase()}). Check your connection and retry.`;
+            case FETCH_ERRORS.SERVER:
+                return `The ${grader.name} website is having problems (status ${error.status}). Try again later.`;
+            default:
+                return `Error fetching ${grader.name} data: ` + (error.message || 'Unknown error');
+        }
+    }
+
+    /**
+     * Parse a BGS, SGC or CGC cert lookup page into the same shape as PSAParser.parse.
+     * These pages lay the cert out as label/value pairs and don't publish price estimates.
+     * @param {string} html - Lookup page HTML
+     * @param {string} certNumber - Certification number
+     * @param {object} grader - Grader definition from GRADERS
+     * @returns {object} Normalized cert data
+     */
+    function extractGenericCertDataFromHTML(html, certNumber, grader) {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(html, 'text/html');
+        
+        console.log(`Parsing ${grader.name} HTML response...`);
+        
+        // Collect label/value pairs from definition lists, tables and label/value elements
+        const fields = readLabelledFields(doc);
+        
+        const findField = labels => {
+            for (const label of labels) {
+                if (fields[label]) return fields[label];
+            }
+            return null;
+        };
+        
+        // Card name: prefer an explicit description, otherwise build one from its parts
+        let cardName = findField(['description', 'card description', 'card', 'item description']);
+        if (!cardName) {
+            const parts = [
+                findField(['year']),
+                findField(['set', 'set name', 'brand']),
+                findField(['card number', 'card #', 'number']),
+                findField(['player', 'subject', 'name', 'player name'])
+            ].filter(Boolean);
+            cardName = parts.length > 0 ? parts.join(' ') : null;
+        }
+        if (!cardName) {
+            const heading = doc.querySelector('h1');
+            cardName = heading ? heading.textContent.trim() : 'Unknown Card';
+        }
+        
+        // Grade: labelled field, otherwise "<GRADER> 9.5" anywhere on the page
+        let grade = findField(['final grade', 'overall grade', 'grade', 'card grade']);
+        if (!grade) {
+            const gradeMatch = doc.body.textContent.match(getGradeTextPattern(grader.name));
+            grade = gradeMatch ? gradeMatch[1] : 'Unknown Grade';
+        }
+        if (/^\d+(\.\d+)?$/.test(grade)) {
+            grade = `${grader.name} ${grade}`;
+        }
+        
+        // Population is only published by some graders
+        const population = findField(['population', 'pop', 'population report']);
+        const popData = population && /^\d[\d,]*$/.test(population) ?
+            createGradeEntries({ [grade]: population }, 'pop', 'populationField', Date.now()) :
+            [];
+        
+        const psaData = {
+            certNumber,
+            grader: grader.id,
+            cardName,
+            cardDetails: Object.entries(fields).map(([label, value]) => `${label}: ${value}`).join('; '),
+            attributes: pickCardAttributes(fields),
+            grade,
+            gradeInfo: parseGrade(grade),
+            priceData: [],
+            popData
+        };
+        
+        console.log(`Extracted ${grader.name} data:`, psaData);
+        
+        return psaData;
+    }
+    
+    function displayPSAData(psaData) {
+        const grader = getGrader(psaData.grader);
+        
+        // Remove loading indicator if it exists
+        const loadingIndicator = document.getElementById('psa-data-loading');
+        if (loadingIndicator) {
+            loadingIndicator.remove();
+        }
+        
+        // Create container for PSA data
+        const container = document.createElement('div');
+        container.id = 'psa-data-container';
+        container.style.border = '1px solid #e5e5e5';
+        container.style.borderRadius = '4px';
+        container.style.padding = '15px';
+        container.style.marginTop = '15px';
+        container.style.backgroundColor = '#f8f8f8';
+        
+        // Add cached indicator if this is from cache
+        const isCached = psaData._fromCache === true;
+        if (isCached) {
+            const cachedBadge = document.createElement('div');
+            cachedBadge.style.position = 'absolute';
+            cachedBadge.style.top = '5px';
+            cachedBadge.style.right = '5px';
+            cachedBadge.style.padding = '2px 5px';
+            cachedBadge.style.fontSize = '10px';
+            cachedBadge.style.backgroundColor = '#e8f4f8';
+            cachedBadge.style.color = '#0654ba';
+            cachedBadge.style.borderRadius = '3px';
+            cachedBadge.textContent = 'Cached';
+            cachedBadge.title = 'Data loaded from cache';
+            container.appendChild(cachedBadge);
+            
+            // Make container position relative for absolute positioning of badge
+            container.style.position = 'relative';
+        }
+        
+        // Create header
+        const header = document.createElement('div');
+        header.style.display = 'flex';
+        header.style.justifyContent = 'space-between';
+        header.style.alignItems = 'center';
+        header.style.marginBottom = '10px';
+        
+        const title = document.createElement('h3');
+        title.textContent = `${grader.name} Card Data`;
+        title.style.margin = '0';
+        title.style.fontSize = '16px';
+        title.style.fontWeight = 'bold';
+        header.appendChild(title);
+        
+        if (grader.id === 'psa') {
+            const psaLogo = document.createElement('img');
+            // Use the hosted PSA logo image
+            psaLogo.src = 'https://cconnect.s3.amazonaws.com/wp-content/uploads/2025/08/605205-1024x394.png';
+            psaLogo.alt = 'PSA Logo';
+            psaLogo.style.height = '20px';
+            psaLogo.onerror = function() {
+                // Fallback to original PSA website image if hosted image fails to load
+                console.log('Hosted PSA logo failed to load, using fallback');
+                this.src = 'https://www.psacard.com/images/logo-psa.svg';
+            };
+            header.appendChild(psaLogo);
+        }
+        
+        container.appendChild(header);
+        
+        // Let the user switch to another cert number found on the listing
+        const candidateChooser = createCandidateChooser(psaData.certNumber, grader);
+        if (candidateChooser) {
+            container.appendChild(candidateChooser);
+        }
+        
+        // Warn before anything else if the listing describes a different card or grade
+        const mismatches = checkListingConsistency(psaData);
+        if (mismatches.length > 0) {
+            container.appendChild(createConsistencyWarning(mismatches, grader));
+        }
+        
+        // Card info section
+        const cardInfo = document.createElement('div');
+        cardInfo.style.marginBottom = '10px';
+        
+        const cardName = document.createElement('div');
+        cardName.textContent = psaData.cardName;
+        cardName.style.fontWeight = 'bold';
+        cardInfo.appendChild(cardName);
+        
+        const certNumber = document.createElement('div');
+        certNumber.textContent = `Certification #: ${psaData.certNumber}`;
+        certNumber.style.fontSize = '14px';
+        cardInfo.appendChild(certNumber);
+        
+        const grade = document.createElement('div');
+        grade.textContent = `Grade: ${psaData.grade}`;
+        grade.style.fontSize = '14px';
+        grade.style.fontWeight = 'bold';
+        cardInfo.appendChild(grade);
+        
+        container.appendChild(cardInfo);
+        
+        // Price data section
+        if (psaData.priceData.length > 0) {
+            const priceSection = document.createElement('div');
+            priceSection.style.marginTop = '10px';
+            
+            const priceTitle = document.createElement('div');
+            priceTitle.textContent = 'Price Estimates:';
+            priceTitle.style.fontWeight = 'bold';
+            priceTitle.style.marginBottom = '5px';
+            priceSection.appendChild(priceTitle);
+            
+            const priceTable = document.createElement('table');
+            priceTable.style.width = '100%';
+            priceTable.style.borderCollapse = 'collapse';
+            
+            // Table header
+            const thead = document.createElement('thead');
+            const headerRow = document.createElement('tr');
+            
+            const gradeHeader = document.createElement('th');
+            gradeHeader.textContent = 'Grade';
+            gradeHeader.style.textAlign = 'left';
+            gradeHeader.style.padding = '5px';
+            headerRow.appendChild(gradeHeader);
+            
+            const priceHeader = document.createElement('th');
+            priceHeader.textContent = 'Est. Value';
+            priceHeader.style.textAlign = 'right';
+            priceHeader.style.padding = '5px';
+            headerRow.appendChild(priceHeader);
+            
+            thead.appendChild(headerRow);
+            priceTable.appendChild(thead);
+            
+            // Table body
+            const tbody = document.createElement('tbody');
+            
+            for (const entry of psaData.priceData) {
+                const row = document.createElement('tr');
+                
+                const gradeCell = document.createElement('td');
+                gradeCell.textContent = entry.label;
+                gradeCell.style.padding = '5px';
+                row.appendChild(gradeCell);
+                
+                const priceCell = document.createElement('td');
+                priceCell.textContent = CurrencyManager.format(entry.value, entry.currency);
+                priceCell.style.textAlign = 'right';
+                priceCell.style.padding = '5px';
+                row.appendChild(priceCell);
+                
+                tbody.appendChild(row);
+            }
+            
+            priceTable.appendChild(tbody);
+            priceSection.appendChild(priceTable);
+            container.appendChild(priceSection);
+        } else {
+            const noPriceData = document.createElement('div');
+            noPriceData.textContent = `No price data available from ${grader.name}`;
+            noPriceData.style.fontStyle = 'italic';
+            noPriceData.style.marginTop = '10px';
+            container.appendChild(noPriceData);
+        }
+        
+        // Price trend section
+        const trendSection = SettingsManager.get('enablePriceHistory') ? createPriceTrendSection(psaData, grader) : null;
+        if (trendSection) {
+            container.appendChild(trendSection);
+        }
+        
+        // Population report section
+        const popSection = createPopulationReport(psaData, grader);
+        if (popSection) {
+            container.appendChild(popSection);
+        }
+        
+        // Add footer with links and cache controls
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.justifyContent = 'space-between';
+        footer.style.alignItems = 'center';
+        footer.style.marginTop = '15px';
+        
+        // Left side: Cache controls
+        const cacheControls = document.createElement('div');
+        
+        // Create refresh button
+        const refreshButton = document.createElement('button');
+        refreshButton.textContent = '🔄 Refresh';
+        refreshButton.title = `Refresh data from ${grader.name}`;
+        refreshButton.style.fontSize = '12px';
+        refreshButton.style.padding = '3px 8px';
+        refreshButton.style.marginRight = '8px';
+        refreshButton.style.backgroundColor = '#f0f0f0';
+        refreshButton.style.border = '1px solid #ccc';
+        refreshButton.style.borderRadius = '3px';
+        refreshButton.style.cursor = 'pointer';
+        refreshButton.addEventListener('click', function() {
+            // Remove from cache and fetch fresh data
+            CacheManager.removeData(psaData.certNumber, grader.id);
+            fetchPSAData(psaData.certNumber, grader.id);
+        });
+        
+        // Create cache info/settings dropdown
+        const cacheInfoButton = document.createElement('button');
+        cacheInfoButton.textContent = '⚙️ Cache';
+        cacheInfoButton.title = 'Cache settings';
+        cacheInfoButton.style.fontSize = '12px';
+        cacheInfoButton.style.padding = '3px 8px';
+        cacheInfoButton.style.backgroundColor = '#f0f0f0';
+        cacheInfoButton.style.border = '1px solid #ccc';
+        cacheInfoButton.style.borderRadius = '3px';
+        cacheInfoButton.style.cursor = 'pointer';
+        
+        // Cache dropdown menu
+        const cacheDropdown = document.createElement('div');
+        cacheDropdown.style.position = 'absolute';
+        cacheDropdown.style.backgroundColor = 'white';
+        cacheDropdown.style.border = '1px solid #ccc';
+        cacheDropdown.style.borderRadius = '3px';
+        cacheDropdown.style.padding = '8px';
+        cacheDropdown.style.marginTop = '5px';
+        cacheDropdown.style.boxShadow = '0 2px 5px rgba(0,0,0,0.1)';
+        cacheDropdown.style.zIndex = '1000';
+        cacheDropdown.style.display = 'none';
+        
+        // Add cache info
+        if (psaData._fromCache) {
+            const cacheTimestamp = new Date(psaData._cacheTimestamp).toLocaleString();
+            const cacheExpiration = new Date(psaData._cacheExpiration).toLocaleString();
+            
+            const cacheInfo = document.createElement('div');
+            cacheInfo.style.marginBottom = '8px';
+            cacheInfo.style.fontSize = '12px';
+            cacheInfo.innerHTML = `
+                <div><strong>Cached:</strong> ${cacheTimestamp}</div>
+                <div><strong>Expires:</strong> ${cacheExpiration}</div>
+            `;
+            cacheDropdown.appendChild(cacheInfo);
+        }
+        
+        // Add clear cache button
+        const clearCacheButton = document.createElement('button');
+        clearCacheButton.textContent = 'Clear All Cache';
+        clearCacheButton.style.width = '100%';
+        clearCacheButton.style.padding = '5px';
+        clearCacheButton.style.marginTop = '5px';
+        clearCacheButton.style.cursor = 'pointer';
+        clearCacheButton.addEventListener('click', function() {
+            if (confirm('Are you sure you want to clear all cached certification data?')) {
+                CacheManager.clearAllData();
+                alert('Cache cleared successfully');
+                cacheDropdown.style.display = 'none';
+            }
+        });
+        cacheDropdown.appendChild(clearCacheButton);
+        
+        // Add cache browser button
+        const browseCacheButton = document.createElement('button');
+        browseCacheButton.textContent = 'Browse Cache...';
+        browseCacheButton.style.width = '100%';
+        browseCacheButton.style.padding = '5px';
+        browseCacheButton.style.marginTop = '5px';
+        browseCacheButton.style.cursor = 'pointer';
+        browseCacheButton.addEventListener('click', function() {
+            cacheDropdown.style.display = 'none';
+            openCacheBrowser();
+        });
+        cacheDropdown.appendChild(browseCacheButton);
+        
+        // Add batch lookup button
+        const batchLookupButton = document.createElement('button');
+        batchLookupButton.textContent = 'Batch Lookup...';
+        batchLookupButton.style.width = '100%';
+        batchLookupButton.style.padding = '5px';
+        batchLookupButton.style.marginTop = '5px';
+        batchLookupButton.style.cursor = 'pointer';
+        batchLookupButton.addEventListener('click', function() {
+            cacheDropdown.style.display = 'none';
+            openBatchLookupDialog();
+        });
+        cacheDropdown.appendChild(batchLookupButton);
+        
+        // Add collection button
+        const collectionButton = document.createElement('button');
+        collectionButton.textContent = 'My Collection...';
+        collectionButton.style.width = '100%';
+        collectionButton.style.padding = '5px';
+        collectionButton.style.marginTop = '5px';
+        collectionButton.style.cursor = 'pointer';
+        collectionButton.addEventListener('click', function() {
+            cacheDropdown.style.display = 'none';
+            openCollectionDialog();
+        });
+        cacheDropdown.appendChild(collectionButton);
+        
+        // Add settings button
+        const settingsButton = document.createElement('button');
+        settingsButton.textContent = 'Settings...';
+        settingsButton.style.width = '100%';
+        settingsButton.style.padding = '5px';
+        settingsButton.style.marginTop = '5px';
+        settingsButton.style.cursor = 'pointer';
+        settingsButton.addEventListener('click', function() {
+            cacheDropdown.style.display = 'none';
+            openSettingsDialog();
+        });
+        cacheDropdown.appendChild(settingsButton);
+        
+        // Toggle dropdown
+        cacheInfoButton.addEventListener('click', function(e) {
+            e.stopPropagation();
+            const isVisible = cacheDropdown.style.display === 'block';
+            cacheDropdown.style.display = isVisible ? 'none' : 'block';
+        });
+        
+        // Close dropdown when clicking elsewhere. The listener removes itself once the
+        // panel has been replaced or torn down.
+        document.addEventListener('click', function closeDropdown() {
+            if (!document.body.contains(cacheDropdown)) {
+                document.removeEventListener('click', closeDropdown);
+                return;
+            }
+            cacheDropdown.style.display = 'none';
+        });
+        
+        cacheDropdown.addEventListener('click', function(e) {
+            e.stopPropagation();
+        });
+        
+        // Add buttons to cache controls
+        cacheControls.appendChild(refreshButton);
+        cacheControls.appendChild(cacheInfoButton);
+        cacheControls.appendChild(cacheDropdown);
+        if (SettingsManager.get('enableWatchlist')) {
+            cacheControls.appendChild(createWatchButton(psaData, grader));
+        }
+        cacheControls.appendChild(createCollectionButton(psaData, grader));
+        footer.appendChild(cacheControls);
+        
+        // Right side: grader website link
+        const psaLink = document.createElement('a');
+        psaLink.href = grader.getCertUrls(psaData.certNumber)[0];
+        psaLink.textContent = `View on ${grader.name} Website`;
+        psaLink.target = '_blank';
+        psaLink.style.color = '#0654ba';
+        footer.appendChild(psaLink);
+        
+        container.appendChild(footer);
+        
+        // Insert the container into the page
+        insertPSADataContainer(container);
+        
+        // Compare with eBay listing price
+        compareWithListingPrice(psaData);
+    }
+    
+    /**
+     * Create the footer button that adds the cert to, or removes it from, the watchlist
+     * @param {object} psaData - Cert data being displayed
+     * @param {object} grader - Grader definition from GRADERS
+     * @returns {Element} Watch button
+     */
+    function createWatchButton(psaData, grader) {
+        const watchButton = document.createElement('button');
+        watchButton.style.fontSize = '12px';
+        watchButton.style.padding = '3px 8px';
+        watchButton.style.marginLeft = '8px';
+        watchButton.style.backgroundColor = '#f0f0f0';
+        watchButton.style.border = '1px solid #ccc';
+        watchButton.style.borderRadius = '3px';
+        watchButton.style.cursor = 'pointer';
+        
+        function updateLabel() {
+            const item = WatchlistManager.getItem(psaData.certNumber, grader.id);
+            watchButton.textContent = item ? '★ Watching' : '☆ Watch this cert';
+            watchButton.title = item ?
+                `Alerting below ${CurrencyManager.format(item.targetPrice, 'USD')}. Click to stop watching.` :
+                'Get notified when the price drops or the estimate moves';
+        }
+        
+        watchButton.addEventListener('click', function() {
+            if (WatchlistManager.getItem(psaData.certNumber, grader.id)) {
+                if (confirm('Stop watching this cert?')) {
+                    WatchlistManager.removeItem(psaData.certNumber, grader.id);
+                }
+                updateLabel();
+                return;
+            }
+            
+            const listingPrice = getListingPrice();
+            const input = prompt('Alert me when the listing price drops below (US $):',
+                isNaN(listingPrice) ? '' : listingPrice.toFixed(2));
+            if (input === null) return;
+            
+            const targetPrice = parseUSDInput(input);
+            if (isNaN(targetPrice) || targetPrice <= 0) {
+                alert('Please enter the target price in US dollars, e.g. 1,200 or 1200.50.');
+                return;
+            }
+            
+            WatchlistManager.addItem({
+                certNumber: psaData.certNumber,
+                grader: grader.id,
+                cardName: psaData.cardName,
+                listingUrl: window.location.origin + window.location.pathname,
+                targetPrice: targetPrice,
+                listingPrice: listingPrice,
+                estimate: findPSAPriceForGrade(psaData.priceData, psaData.grade)
+            });
+            updateLabel();
+        });
         
-        // Check for "Graded - PSA" text in ux-textspans
-        const textSpans = document.querySelectorAll('.ux-textspans');
-        for (const span of textSpans) {
-            if (span.textContent.includes('Graded - PSA') || span.textContent.includes('PSA')) {
-                isPsaItem = true;
-                break;
-            }
+        updateLabel();
+        return watchButton;
+    }
+    
+    /**
+     * Create the footer button that adds the cert to, or removes it from, the collection
+     * @param {object} psaData - Cert data being displayed
+     * @param {object} grader - Grader definition from GRADERS
+     * @returns {Element} Collection button
+     */
+    function createCollectionButton(psaData, grader) {
+        const collectionButton = document.createElement('button');
+        collectionButton.style.fontSize = '12px';
+        collectionButton.style.padding = '3px 8px';
+        collectionButton.style.marginLeft = '8px';
+        collectionButton.style.backgroundColor = '#f0f0f0';
+        collectionButton.style.border = '1px solid #ccc';
+        collectionButton.style.borderRadius = '3px';
+        collectionButton.style.cursor = 'pointer';
+        
+        // Viewing a cert we own is a free chance to update its valuation
+        if (CollectionManager.getItem(psaData.certNumber, grader.id)) {
+            CollectionManager.updateValuation(psaData, grader.id);
         }
         
-        // Check for PSA text in spans
-        if (!isPsaItem) {
-            const spans = document.querySelectorAll('span');
-            for (const span of spans) {
-                if (span.textContent.includes('PSA')) {
-                    isPsaItem = true;
-                    break;
-                }
-            }
+        function updateLabel() {
+            const item = CollectionManager.getItem(psaData.certNumber, grader.id);
+            collectionButton.textContent = item ? '✓ In my collection' : '+ Add to my collection';
+            collectionButton.title = item ?
+                `Bought ${item.purchaseDate} for ${CurrencyManager.format(item.purchasePrice, 'USD')}. Click to remove it from your collection.` :
+                'Record this slab with what you paid for it';
         }
         
-        // Check for "PSA Graded" text in divs
-        if (!isPsaItem) {
-            const divs = document.querySelectorAll('div');
-            for (const div of divs) {
-                if (div.textContent.includes('PSA Graded')) {
-                    isPsaItem = true;
-                    break;
+        collectionButton.addEventListener('click', function() {
+            if (CollectionManager.getItem(psaData.certNumber, grader.id)) {
+                if (confirm('Remove this cert from your collection?')) {
+                    CollectionManager.removeItem(psaData.certNumber, grader.id);
                 }
+                updateLabel();
+                return;
             }
-        }
+            
+            const listingPrice = getListingPrice();
+            const priceInput = prompt('Purchase price (US $):',
+                isNaN(listingPrice) ? '' : listingPrice.toFixed(2));
+            if (priceInput === null) return;
+            
+            const purchasePrice = parseUSDInput(priceInput);
+            if (isNaN(purchasePrice) || purchasePrice < 0) {
+                alert('Please enter the purchase price in US dollars, e.g. 1,200 or 1200.50.');
+                return;
+            }
+            
+            const dateInput = prompt('Purchase date (YYYY-MM-DD):', getDateStamp());
+            if (dateInput === null) return;
+            
+            const purchaseDate = dateInput.trim();
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(purchaseDate) || isNaN(Date.parse(purchaseDate))) {
+                alert('Please enter the date as YYYY-MM-DD.');
+                return;
+            }
+            
+            CollectionManager.addItem(psaData, grader.id, purchasePrice, purchaseDate,
+                window.location.origin + window.location.pathname);
+            updateLabel();
+        });
         
-        if (isPsaItem) {
-            console.log('PSA item detected, but no cert number found. Adding manual entry button.');
-            addManualCertEntryButton();
-            return null;
+        updateLabel();
+        return collectionButton;
+    }
+    
+    /**
+     * Parse a grade label into the grade model, e.g. "GEM MT 10", "PSA 8.5", "NM 7 (OC)",
+     * "Authentic" or "AUTHENTIC ALTERED"
+     * @param {string} grade - Grade label
+     * @returns {object} value (number or null), qualifier (code or null), authentic and altered
+     *     flags, and key: a canonical string such as "8.5", "7 OC" or "AUTH" that two labels for
+     *     the same grade share (null if the label has no recognizable grade)
+     */
+    function parseGrade(grade) {
+        const text = (grade || '').toUpperCase();
+        const qualifiers = GRADE_CONFIG.qualifiers.join('|');
+        
+        // A grade number on its own, optionally followed by a qualifier code
+        const numberMatch = text.match(new RegExp(`(?:^|[^\\d.])(10|[1-9](?:\\.\\d)?)(?![\\d.])(?:\\s*\\(?(${qualifiers})\\)?(?![A-Z]))?`));
+        const altered = /\bALT(ERED)?\b/.test(text);
+        const authentic = !numberMatch && /\bAUTH(ENTIC)?\b/.test(text);
+        
+        const model = {
+            value: numberMatch ? parseFloat(numberMatch[1]) : null,
+            qualifier: numberMatch && numberMatch[2] ? numberMatch[2] : null,
+            authentic: authentic,
+            altered: altered,
+            key: null
+        };
+        
+        if (authentic) {
+            model.key = altered ? 'AUTH ALTERED' : 'AUTH';
+        } else if (model.value !== null) {
+            model.key = String(model.value) + (model.qualifier ? ' ' + model.qualifier : '');
         }
         
-        return null;
+        return model;
     }
-
-    function fetchPSAData(certNumber) {
-        // First check if we have cached data
-        const cachedData = CacheManager.getData(certNumber);
-        if (cachedData) {
-            console.log('Using cached PSA data for cert:', certNumber);
-            displayPSAData(cachedData);
-            return;
+    
+    /**
+     * Format a grade model as a label, e.g. "PSA 8.5", "PSA 7 OC" or "PSA Authentic Altered"
+     * @param {object} model - Grade model from parseGrade
+     * @param {string} graderName - Grader name to prefix the grade with
+     * @returns {string|null} Grade label, or null if the model has no grade
+     */
+    function formatGrade(model, graderName) {
+        if (!model || !model.key) return null;
+        
+        if (model.authentic) {
+            return `${graderName} Authentic${model.altered ? ' Altered' : ''}`;
+        }
+        return `${graderName} ${model.value}${model.qualifier ? ' ' + model.qualifier : ''}`;
+    }
+    
+    /**
+     * Check whether a grade stated in a listing agrees with the cert's grade. eBay's grade
+     * item specific has no room for a qualifier, so a listing grade without one agrees with
+     * a qualified cert grade of the same number.
+     * @param {object} listingGrade - Grade model read from the listing
+     * @param {object} certGrade - Grade model from the cert record
+     * @returns {boolean} True if the grades agree
+     */
+    function isSameGrade(listingGrade, certGrade) {
+        if (listingGrade.key === certGrade.key) return true;
+        
+        return !listingGrade.qualifier &&
+            listingGrade.value !== null &&
+            listingGrade.value === certGrade.value;
+    }
+    
+    /**
+     * Build a regex that finds "<GRADER> <grade>" in free text such as a listing title. The
+     * grade (group 1) can be numeric with an optional qualifier, or authentic.
+     * @param {string} graderName - Grader name, e.g. "PSA"
+     * @returns {RegExp} Pattern with the grade text in group 1
+     */
+    function getGradeTextPattern(graderName) {
+        const qualifiers = GRADE_CONFIG.qualifiers.join('|');
+        return new RegExp(`${graderName}\\s+(AUTH(?:ENTIC)?(?:\\s+ALTERED)?|\\d+(?:\\.\\d)?(?:\\s*\\(?(?:${qualifiers})\\)?(?![A-Za-z]))?)`, 'i');
+    }
+    
+    /**
+     * Build the sparkline and change-since-last-observation row from a cert's price history
+     * @param {object} psaData - Cert data being displayed
+     * @param {object} grader - Grader definition from GRADERS
+     * @returns {Element|null} Trend section, or null if there is no history at the cert's grade
+     */
+    function createPriceTrendSection(psaData, grader) {
+        const grade = parseGrade(psaData.grade);
+        if (!grade.key) return null;
+        
+        // Estimated value at the cert's grade for each snapshot that has one
+        const points = HistoryManager.getHistory(psaData.certNumber, grader.id)
+            .map(snapshot => ({
+                timestamp: snapshot.timestamp,
+                value: findPSAPriceForGrade(snapshot.priceData, grade)
+            }))
+            .filter(point => point.value !== null);
+        
+        if (points.length === 0) return null;
+        
+        const trendSection = document.createElement('div');
+        trendSection.style.marginTop = '10px';
+        trendSection.style.display = 'flex';
+        trendSection.style.alignItems = 'center';
+        trendSection.style.fontSize = '12px';
+        
+        const trendLabel = document.createElement('span');
+        trendLabel.textContent = 'Price Trend:';
+        trendLabel.style.fontWeight = 'bold';
+        trendLabel.style.marginRight = '8px';
+        trendSection.appendChild(trendLabel);
+        
+        if (points.length === 1) {
+            const firstSeen = document.createElement('span');
+            firstSeen.textContent = `First observed ${new Date(points[0].timestamp).toLocaleDateString()}`;
+            firstSeen.style.color = '#666';
+            trendSection.appendChild(firstSeen);
+            return trendSection;
         }
         
-        // No cached data, need to fetch from PSA website
-        // Updated URL format to match the correct PSA website structure
-        const psaUrl = `https://www.psacard.com/cert/${certNumber}/psa`;
-        
-        console.log('Fetching PSA data from:', psaUrl);
+        trendSection.appendChild(createSparkline(points.map(point => point.value)));
+        
+        const latest = points[points.length - 1];
+        const previous = points[points.length - 2];
+        const change = latest.value - previous.value;
+        const percentChange = previous.value ? (change / previous.value) * 100 : 0;
+        
+        const changeText = document.createElement('span');
+        changeText.style.marginLeft = '8px';
+        changeText.style.fontWeight = 'bold';
+        changeText.title = `Compared with ${new Date(previous.timestamp).toLocaleString()}`;
+        if (change > 0) {
+            changeText.textContent = `▲ ${CurrencyManager.format(change, 'USD')} (${percentChange.toFixed(1)}%)`;
+            changeText.style.color = '#4F8A10';
+        } else if (change < 0) {
+            changeText.textContent = `▼ ${CurrencyManager.format(Math.abs(change), 'USD')} (${Math.abs(percentChange).toFixed(1)}%)`;
+            changeText.style.color = '#d8000c';
+        } else {
+            changeText.textContent = 'No change';
+            changeText.style.color = '#666';
+        }
+        trendSection.appendChild(changeText);
         
-        // Create a loading indicator
-        const loadingDiv = createLoadingIndicator();
-        insertPSADataContainer(loadingDiv);
+        const sinceText = document.createElement('span');
+        sinceText.textContent = ` since ${new Date(previous.timestamp).toLocaleDateString()}`;
+        sinceText.style.color = '#666';
+        trendSection.appendChild(sinceText);
         
-        // Use GM_xmlhttpRequest to fetch data from PSA website
-        GM_xmlhttpRequest({
-            method: 'GET',
-            url: psaUrl,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-            },
-            timeout: 30000, // 30 seconds timeout
-            onload: function(response) {
-                console.log('PSA response received, status:', response.status);
-                if (response.status === 200) {
-                    const psaData = extractPSADataFromHTML(response.responseText, certNumber);
-                    
-                    // Cache the data for future use
-                    CacheManager.saveData(certNumber, psaData);
-                    
-                    displayPSAData(psaData);
-                } else {
-                    console.error('Failed to fetch PSA data. Status:', response.status);
-                    console.error('Response text:', response.responseText.substring(0, 200) + '...');
-                    
-                    // Try alternative URL format as fallback
-                    const altPsaUrl = `https://www.psacard.com/cert/${certNumber}`;
-                    console.log('Trying alternative URL:', altPsaUrl);
-                    
-                    GM_xmlhttpRequest({
-                        method: 'GET',
-                        url: altPsaUrl,
-                        headers: {
-                            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-                        },
-                        timeout: 30000,
-                        onload: function(altResponse) {
-                            console.log('Alternative PSA response received, status:', altResponse.status);
-                            if (altResponse.status === 200) {
-                                const psaData = extractPSADataFromHTML(altResponse.responseText, certNumber);
-                                
-                                // Cache the data for future use
-                                CacheManager.saveData(certNumber, psaData);
-                                
-                                displayPSAData(psaData);
-                            } else {
-                                displayError(`Failed to fetch PSA data. Status: ${response.status}. The number ${certNumber} might be an eBay item ID rather than a PSA certification number. Please verify the certification number is correct.`);
-                            }
-                        },
-                        onerror: function(altError) {
-                            displayError('Error fetching PSA data: ' + (altError.message || 'Unknown error'));
-                        }
-                    });
-                }
-            },
-            onerror: function(error) {
-                console.error('Error fetching PSA data:', error);
-                displayError('Error fetching PSA data: ' + (error.message || 'Unknown error'));
-            }
-        });
+        return trendSection;
     }
-
-    function extractPSADataFromHTML(html, certNumber) {
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-        
-        console.log('Parsing PSA HTML response...');
-        
-        // Debug: Log the HTML structure to help identify elements
-        console.log('HTML structure sample:', html.substring(0, 500));
-        
-        // Debug: Look specifically for card name elements
-        const possibleCardNameElements = [
-            doc.querySelector('.cert-card-details h1'),
-            doc.querySelector('.item-details h1'),
-            doc.querySelector('.cert-header h1'),
-            doc.querySelector('.card-details h1'),
-            doc.querySelector('h1.card-title'),
-            doc.querySelector('p.text-center.text-display5.uppercase'),
-            doc.querySelector('p.text-center.uppercase'),
-            doc.querySelector('p.text-display5.uppercase'),
-            doc.querySelector('p.uppercase'),
-            doc.querySelector('.card-name')
-        ];
+    
+    /**
+     * Work out where the cert's grade sits in the population
+     * @param {Array} popData - Population grade entries
+     * @param {object} grade - Cert grade model from parseGrade
+     * @returns {object} atGrade, higher, total and scarcityPercentile (each null when the
+     *     cert page didn't publish enough grades to tell), plus the graded entries
+     */
+    function getPopulationStats(popData, grade) {
+        const graded = popData.filter(entry => entry.gradeKey);
+        const totalEntry = popData.find(entry => !entry.gradeKey && /total/i.test(entry.label));
+        const atGradeEntry = graded.find(entry => entry.gradeKey === grade.key);
+        
+        // Higher grades and the total are only known when the page lists other grades too
+        const hasDistribution = graded.some(entry => entry.gradeKey !== grade.key);
+        const numericGraded = graded
+            .map(entry => ({ entry, model: parseGrade(entry.gradeKey) }))
+            .filter(item => item.model.value !== null);
+        
+        const stats = {
+            atGrade: atGradeEntry ? atGradeEntry.value : null,
+            higher: null,
+            total: totalEntry ? totalEntry.value : null,
+            scarcityPercentile: null,
+            graded: graded
+        };
         
-        console.log('Possible card name elements:');
-        possibleCardNameElements.forEach((el, index) => {
-            if (el) {
-                console.log(`Element ${index} found:`, el.tagName, 'with text:', el.textContent.trim());
+        if (hasDistribution) {
+            if (grade.value !== null) {
+                stats.higher = numericGraded
+                    .filter(item => item.model.value > grade.value)
+                    .reduce((sum, item) => sum + item.entry.value, 0);
             }
-        });
-        
-        // Extract card details - updated selectors for current PSA website
-        let cardName = doc.querySelector('.cert-card-details h1')?.textContent.trim() || 
-                      doc.querySelector('.item-details h1')?.textContent.trim() || 
-                      doc.querySelector('.cert-header h1')?.textContent.trim() ||
-                      doc.querySelector('.card-details h1')?.textContent.trim() ||
-                      doc.querySelector('h1.card-title')?.textContent.trim() ||
-                      doc.querySelector('p.text-center.text-display5.uppercase')?.textContent.trim() ||
-                      doc.querySelector('p.text-center.uppercase')?.textContent.trim() ||
-                      doc.querySelector('p.text-display5.uppercase')?.textContent.trim() ||
-                      doc.querySelector('p.uppercase')?.textContent.trim() ||
-                      doc.querySelector('.card-name')?.textContent.trim();
-        
-        // If we still don't have a card name, try a more generic approach
-        if (!cardName) {
-            // Look for elements with uppercase text that might contain the card name
-            const allElements = doc.querySelectorAll('p, h1, h2, h3, div');
-            for (const element of allElements) {
-                const text = element.textContent.trim();
-                // Look for text that's all uppercase and contains typical card identifiers
-                if (text === text.toUpperCase() && text.length > 10 && 
-                    (text.includes('#') || 
-                     /\d{4}/.test(text) || // Contains a 4-digit year
-                     /[A-Z]{3,}/.test(text))) { // Contains at least 3 uppercase letters in a row
-                    cardName = text;
-                    console.log('Found card name using generic approach:', cardName);
-                    break;
-                }
+            if (stats.total === null) {
+                stats.total = graded.reduce((sum, entry) => sum + entry.value, 0);
             }
         }
         
-        // If still no card name, use default
-        if (!cardName) {
-            cardName = 'Unknown Card';
-        }
-        
-        console.log('Found card name:', cardName);
-        
-        // Extract card details/description
-        const cardDetails = doc.querySelector('.cert-card-details')?.textContent.trim() || 
-                           doc.querySelector('.item-details')?.textContent.trim() || 
-                           doc.querySelector('.card-details')?.textContent.trim() ||
-                           doc.querySelector('.cert-details')?.textContent.trim() ||
-                           '';
-        
-        // Extract grade - updated selectors
-        let grade = 'Unknown Grade';
-        const gradeSelectors = [
-            '.cert-grade-box', 
-            '.grade-box', 
-            '.cert-grade',
-            '.grade-value',
-            '.grade',
-            '.psa-grade'
-        ];
-        
-        for (const selector of gradeSelectors) {
-            const gradeElement = doc.querySelector(selector);
-            if (gradeElement) {
-                grade = gradeElement.textContent.trim();
-                console.log('Found grade with selector', selector, ':', grade);
-                break;
-            }
+        // Share of graded copies that came out below this grade
+        if (stats.atGrade !== null && stats.higher !== null && stats.total) {
+            const atOrAbove = stats.atGrade + stats.higher;
+            stats.scarcityPercentile = Math.max(0, Math.min(100, (1 - atOrAbove / stats.total) * 100));
         }
         
-        // If grade still not found, try to extract from text
-        if (grade === 'Unknown Grade') {
-            const gradeRegex = /PSA\s+(\d+(\.\d+)?)/i;
-            const pageText = doc.body.textContent;
-            const gradeMatch = pageText.match(gradeRegex);
-            if (gradeMatch && gradeMatch[1]) {
-                grade = `PSA ${gradeMatch[1]}`;
-                console.log('Extracted grade from text:', grade);
-            }
+        return stats;
+    }
+    
+    /**
+     * Check whether a population count came from one of the parser's guessing fallbacks
+     * @param {object} entry - Population grade entry
+     * @param {object} psaData - Cert data (parseInfo is used for entries with no known source)
+     * @returns {boolean} True if the count should be treated as low-confidence
+     */
+    function isLowConfidencePopEntry(entry, psaData) {
+        const strategy = PSAParser.strategies.population.find(s => s.name === entry.source);
+        if (strategy) {
+            return strategy.confidence < POPULATION_CONFIG.lowConfidenceThreshold;
         }
         
-        // Extract price data if available
-        let priceData = {};
+        const fieldInfo = psaData.parseInfo && psaData.parseInfo.fields && psaData.parseInfo.fields.popData;
+        return !!fieldInfo && fieldInfo.strategy !== null &&
+            fieldInfo.confidence < POPULATION_CONFIG.lowConfidenceThreshold;
+    }
+    
+    /**
+     * Build the population report: the cert grade's population, total graded, population
+     * higher, a scarcity percentile and a bar chart across grades
+     * @param {object} psaData - Cert data
+     * @param {object} grader - Grader the cert belongs to
+     * @returns {HTMLElement|null} Report section, or null if there is no population data
+     */
+    function createPopulationReport(psaData, grader) {
+        const popData = psaData.popData || [];
+        if (popData.length === 0) return null;
+        
+        const grade = parseGrade(psaData.grade);
+        const stats = getPopulationStats(popData, grade);
+        const lowConfidence = popData.some(entry => isLowConfidencePopEntry(entry, psaData));
+        
+        const popSection = document.createElement('div');
+        popSection.className = 'psa-population-report';
+        popSection.style.marginTop = '15px';
+        
+        const popTitle = document.createElement('div');
+        popTitle.textContent = 'Population Report:';
+        popTitle.style.fontWeight = 'bold';
+        popTitle.style.marginBottom = '5px';
+        popSection.appendChild(popTitle);
+        
+        if (lowConfidence) {
+            const warning = document.createElement('div');
+            warning.className = 'psa-pop-low-confidence';
+            warning.textContent = `⚠ Low confidence: the population was guessed from a number near the word "population" on the ${grader.name} page and may be wrong.`;
+            warning.style.color = '#9F6000';
+            warning.style.backgroundColor = '#FEEFB3';
+            warning.style.padding = '4px 6px';
+            warning.style.borderRadius = '4px';
+            warning.style.fontSize = '12px';
+            warning.style.marginBottom = '5px';
+            popSection.appendChild(warning);
+        }
         
-        // Try multiple possible selectors for price data
-        const priceSectionSelectors = [
-            '.cert-pop-chart', 
-            '.price-chart', 
-            '.sales-history',
-            '.price-guide',
-            '.value-section',
-            '.smr-table',
-            'table.price-data'
+        const statsTable = document.createElement('table');
+        statsTable.style.width = '100%';
+        statsTable.style.borderCollapse = 'collapse';
+        statsTable.style.fontSize = '12px';
+        
+        const gradeLabel = formatGrade(grade, grader.name) || 'this grade';
+        const unknown = 'Not published on the cert page';
+        const statRows = [
+            [`Population (${gradeLabel})`, stats.atGrade !== null ? stats.atGrade.toLocaleString('en-US') : unknown],
+            ['Total Graded', stats.total !== null ? stats.total.toLocaleString('en-US') : unknown],
+            ['Population Higher', stats.higher !== null ? stats.higher.toLocaleString('en-US') : unknown],
+            ['Scarcity Percentile', stats.scarcityPercentile !== null ?
+                `${Math.round(stats.scarcityPercentile)} (top ${(100 - stats.scarcityPercentile).toFixed(1)}% of graded copies)` :
+                unknown]
         ];
         
-        let priceSection = null;
-        for (const selector of priceSectionSelectors) {
-            priceSection = doc.querySelector(selector);
-            if (priceSection) {
-                console.log('Found price section with selector:', selector);
-                break;
+        for (const [label, value] of statRows) {
+            const row = document.createElement('tr');
+            
+            const labelCell = document.createElement('td');
+            labelCell.textContent = label;
+            labelCell.style.padding = '3px 5px';
+            row.appendChild(labelCell);
+            
+            const valueCell = document.createElement('td');
+            valueCell.textContent = value;
+            valueCell.style.textAlign = 'right';
+            valueCell.style.padding = '3px 5px';
+            if (value === unknown) {
+                valueCell.style.color = '#666';
+                valueCell.style.fontStyle = 'italic';
             }
+            row.appendChild(valueCell);
+            
+            statsTable.appendChild(row);
         }
+        popSection.appendChild(statsTable);
         
-        if (priceSection) {
-            // Extract price data from the price section
-            const priceRows = priceSection.querySelectorAll('tr');
-            priceRows.forEach(row => {
-                const cells = row.querySelectorAll('td');
-                if (cells.length >= 2) {
-                    const gradeLabel = cells[0].textContent.trim();
-                    const priceValue = cells[1].textContent.trim();
-                    priceData[gradeLabel] = priceValue;
-                    console.log('Price data:', gradeLabel, '=', priceValue);
-                }
-            });
+        if (stats.graded.length > 0) {
+            popSection.appendChild(createPopulationChart(stats.graded, grade, psaData));
         }
         
-        // Try alternative price data extraction methods
-        if (Object.keys(priceData).length === 0) {
-            // Method 1: Look for price elements with specific classes
-            const priceElementSelectors = [
-                '.price-value', 
-                '.avg-price', 
-                '[data-price]',
-                '.value',
-                '.smr-value',
-                '.price-estimate'
-            ];
+        return popSection;
+    }
+    
+    /**
+     * Draw a horizontal bar chart of the population at each grade, highest grade first,
+     * with the cert's grade highlighted
+     * @param {Array} graded - Population entries that have a grade
+     * @param {object} grade - Cert grade model from parseGrade
+     * @param {object} psaData - Cert data, for the confidence check
+     * @returns {HTMLElement} Chart
+     */
+    function createPopulationChart(graded, grade, psaData) {
+        const chart = document.createElement('div');
+        chart.className = 'psa-pop-chart';
+        chart.style.marginTop = '8px';
+        chart.style.fontSize = '11px';
+        
+        // Numeric grades from high to low (qualified grades after plain ones), authentic last
+        const sortValue = entry => {
+            const model = parseGrade(entry.gradeKey);
+            return model.value === null ? -1 : model.value - (model.qualifier ? 0.01 : 0);
+        };
+        const sorted = graded.slice().sort((a, b) => sortValue(b) - sortValue(a));
+        const maxValue = Math.max(...sorted.map(entry => entry.value), 1);
+        
+        for (const entry of sorted) {
+            const isCertGrade = entry.gradeKey === grade.key;
+            const lowConfidence = isLowConfidencePopEntry(entry, psaData);
             
-            for (const selector of priceElementSelectors) {
-                const priceElement = doc.querySelector(selector);
-                if (priceElement) {
-                    const currentGrade = grade.replace(/[^\d.]/g, '');
-                    priceData[`PSA ${currentGrade}`] = priceElement.textContent.trim();
-                    console.log('Found price with selector', selector, ':', priceElement.textContent.trim());
-                    break;
-                }
-            }
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.marginBottom = '2px';
+            if (isCertGrade) row.style.fontWeight = 'bold';
             
-            // Method 2: Look for currency patterns in the page
-            if (Object.keys(priceData).length === 0) {
-                // Find all elements containing dollar signs
-                const allElements = doc.querySelectorAll('*');
-                for (const element of allElements) {
-                    if (element.textContent.includes('$')) {
-                        const text = element.textContent.trim();
-                        // Look for price patterns like $1,234.56
-                        const priceMatch = text.match(/\$[\d,]+\.\d{2}/);
-                        if (priceMatch) {
-                            // Check if this is in context of the current grade
-                            const elementText = element.textContent.toLowerCase();
-                            const currentGradeNum = grade.replace(/[^\d.]/g, '');
-                            
-                            if (elementText.includes(`psa ${currentGradeNum}`) || 
-                                elementText.includes(`grade ${currentGradeNum}`) ||
-                                elementText.includes(`value`) ||
-                                elementText.includes(`price`) ||
-                                elementText.includes(`estimate`)) {
-                                
-                                priceData[`PSA ${currentGradeNum}`] = priceMatch[0];
-                                console.log('Found price in text:', priceMatch[0], 'context:', text.substring(0, 50));
-                                break;
-                            }
-                        }
-                    }
-                }
+            const label = document.createElement('span');
+            label.textContent = entry.label;
+            label.style.width = '80px';
+            label.style.flexShrink = '0';
+            label.style.overflow = 'hidden';
+            label.style.textOverflow = 'ellipsis';
+            label.style.whiteSpace = 'nowrap';
+            row.appendChild(label);
+            
+            const track = document.createElement('div');
+            track.style.flexGrow = '1';
+            track.style.height = '10px';
+            track.style.backgroundColor = '#f0f0f0';
+            track.style.margin = '0 6px';
+            
+            const bar = document.createElement('div');
+            bar.style.width = `${Math.max((entry.value / maxValue) * 100, entry.value > 0 ? 1 : 0)}%`;
+            bar.style.height = '100%';
+            bar.style.backgroundColor = isCertGrade ? '#0654ba' : '#a0b8d0';
+            if (lowConfidence) bar.style.opacity = '0.5';
+            track.appendChild(bar);
+            row.appendChild(track);
+            
+            const count = document.createElement('span');
+            count.textContent = entry.value.toLocaleString('en-US') + (lowConfidence ? ' ⚠' : '');
+            count.style.width = '60px';
+            count.style.flexShrink = '0';
+            count.style.textAlign = 'right';
+            if (lowConfidence) {
+                count.title = 'Low confidence: found by a fallback that guesses which number on the page is the population';
             }
+            row.appendChild(count);
+            
+            chart.appendChild(row);
         }
         
-        // Extract population data - updated selectors
-        let popData = {};
-        
-        // Debug: Look specifically for population data elements
-        console.log('Looking for population data elements...');
+        return chart;
+    }
+    
+    /**
+     * Draw a small inline line chart
+     * @param {number[]} values - Values to plot, oldest first
+     * @returns {SVGElement} Sparkline
+     */
+    function createSparkline(values) {
+        const width = 100;
+        const height = 24;
+        const padding = 2;
+        const svgNS = 'http://www.w3.org/2000/svg';
+        
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const range = max - min || 1;
+        
+        const points = values.map((value, index) => {
+            const x = padding + (index / (values.length - 1)) * (width - padding * 2);
+            const y = height - padding - ((value - min) / range) * (height - padding * 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
         
-        // Method 1: Look for the specific link element you provided
-        const popLinks = doc.querySelectorAll('a.text-hyperlink[data-testid="link"][href*="/pop/"]');
-        if (popLinks.length > 0) {
-            console.log('Found population link elements:', popLinks.length);
-            for (const link of popLinks) {
-                const popCount = link.textContent.trim();
-                if (/^\d+$/.test(popCount)) {
-                    const currentGradeNum = grade.replace(/[^\d.]/g, '');
-                    popData[`PSA ${currentGradeNum}`] = popCount;
-                    console.log('Found population from link:', popCount);
-                    break;
-                }
-            }
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        
+        const title = document.createElementNS(svgNS, 'title');
+        title.textContent = values.map(value => CurrencyManager.format(value, 'USD')).join(' → ');
+        svg.appendChild(title);
+        
+        const line = document.createElementNS(svgNS, 'polyline');
+        line.setAttribute('points', points.join(' '));
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke', '#0654ba');
+        line.setAttribute('stroke-width', '1.5');
+        svg.appendChild(line);
+        
+        // Mark the latest observation
+        const [lastX, lastY] = points[points.length - 1].split(',');
+        const dot = document.createElementNS(svgNS, 'circle');
+        dot.setAttribute('cx', lastX);
+        dot.setAttribute('cy', lastY);
+        dot.setAttribute('r', '2');
+        dot.setAttribute('fill', '#0654ba');
+        svg.appendChild(dot);
+        
+        return svg;
+    }
+    
+    /**
+     * Show a failed lookup in place of the data panel
+     * @param {Error|string} error - Error from createFetchError, or a plain message
+     */
+    function displayError(error) {
+        // Remove loading indicator if it exists
+        const loadingIndicator = document.getElementById('psa-data-loading');
+        if (loadingIndicator) {
+            loadingIndicator.remove();
         }
         
-        // Method 2: Look for any links with "/pop/" in the href
-        if (Object.keys(popData).length === 0) {
-            const allPopLinks = doc.querySelectorAll('a[href*="/pop/"]');
-            console.log('Found all population links:', allPopLinks.length);
-            for (const link of allPopLinks) {
-                const popCount = link.textContent.trim();
-                if (/^\d+$/.test(popCount)) {
-                    const currentGradeNum = grade.replace(/[^\d.]/g, '');
-                    popData[`PSA ${currentGradeNum}`] = popCount;
-                    console.log('Found population from general pop link:', popCount);
-                    break;
-                }
-            }
-        }
+        // Create error message container
+        const errorContainer = document.createElement('div');
+        errorContainer.id = 'psa-data-error';
+        errorContainer.style.border = '1px solid #e5e5e5';
+        errorContainer.style.borderRadius = '4px';
+        errorContainer.style.padding = '15px';
+        errorContainer.style.marginTop = '15px';
+        errorContainer.style.backgroundColor = '#fff0f0';
+        errorContainer.style.color = '#d8000c';
         
-        // Method 3: Look for elements with specific classes that might contain population data
-        if (Object.keys(popData).length === 0) {
-            const popSectionSelectors = [
-                '.cert-pop', 
-                '.population', 
-                '.pop-report',
-                '.population-data',
-                '.pop-table',
-                'table.population',
-                '[data-testid="population"]',
-                '.text-center.text-body1.font-semibold'
-            ];
-            
-            let popSection = null;
-            for (const selector of popSectionSelectors) {
-                const elements = doc.querySelectorAll(selector);
-                for (const element of elements) {
-                    const text = element.textContent.trim();
-                    // If the text is just a number, it might be population data
-                    if (/^\d+$/.test(text)) {
-                        const currentGradeNum = grade.replace(/[^\d.]/g, '');
-                        popData[`PSA ${currentGradeNum}`] = text;
-                        console.log('Found population from selector:', selector, '=', text);
-                        popSection = element;
-                        break;
-                    }
-                }
-                if (popSection) break;
-            }
-            
-            // If we found a population section with a table structure, extract data from it
-            if (popSection && popSection.tagName === 'TABLE') {
-                const popRows = popSection.querySelectorAll('tr');
-                popRows.forEach(row => {
-                    const cells = row.querySelectorAll('td');
-                    if (cells.length >= 2) {
-                        const gradeLabel = cells[0].textContent.trim();
-                        const popCount = cells[1].textContent.trim();
-                        popData[gradeLabel] = popCount;
-                        console.log('Population data from table:', gradeLabel, '=', popCount);
-                    }
-                });
-            }
+        const errorText = document.createElement('div');
+        errorText.textContent = getFetchErrorMessage(error);
+        errorContainer.appendChild(errorText);
+        
+        // Let the user open the page we tried, so they can clear a challenge or sign in
+        if (error && error.url) {
+            const pageLink = document.createElement('a');
+            pageLink.href = error.url;
+            pageLink.target = '_blank';
+            pageLink.textContent = `Open cert page on ${getGrader(error.grader).name} website`;
+            pageLink.style.display = 'block';
+            pageLink.style.marginTop = '8px';
+            pageLink.style.color = '#0654ba';
+            errorContainer.appendChild(pageLink);
         }
         
-        // Method 4: Look for text-based population info
-        if (Object.keys(popData).length === 0) {
-            // Look for elements with "population" in their text
-            const popElements = Array.from(doc.querySelectorAll('*')).filter(el => 
-                el.textContent.toLowerCase().includes('population') || 
-                el.textContent.toLowerCase().includes('pop:') ||
-                el.textContent.toLowerCase().includes('pop ')
-            );
-            
-            for (const element of popElements) {
-                // Look for nearby elements with just numbers
-                const siblings = getSiblingElements(element);
-                for (const sibling of siblings) {
-                    const text = sibling.textContent.trim();
-                    if (/^\d+$/.test(text)) {
-                        const currentGradeNum = grade.replace(/[^\d.]/g, '');
-                        popData[`PSA ${currentGradeNum}`] = text;
-                        console.log('Found population from nearby element:', text);
-                        break;
-                    }
-                }
-                
-                if (Object.keys(popData).length > 0) break;
-                
-                // If no siblings with just numbers, try to extract from the element itself
-                const text = element.textContent.trim();
-                const popMatch = text.match(/population[:\s]+(\d+)/i) || 
-                                text.match(/pop[:\s]+(\d+)/i);
-                
-                if (popMatch && popMatch[1]) {
-                    const currentGradeNum = grade.replace(/[^\d.]/g, '');
-                    popData[`PSA ${currentGradeNum}`] = popMatch[1];
-                    console.log('Found population from text match:', popMatch[1]);
-                    break;
-                }
+        // Add retry button
+        const retryButton = document.createElement('button');
+        retryButton.textContent = 'Retry';
+        retryButton.style.marginTop = '10px';
+        retryButton.style.padding = '5px 10px';
+        retryButton.style.cursor = 'pointer';
+        retryButton.addEventListener('click', function() {
+            errorContainer.remove();
+            // Retry the same cert if we know it, otherwise start detection over
+            if (error && error.certNumber) {
+                fetchPSAData(error.certNumber, error.grader);
+            } else {
+                initScript();
             }
+        });
+        errorContainer.appendChild(retryButton);
+        
+        // The cert that failed may just be the wrong one of several on the listing
+        const candidateChooser = error && error.certNumber ?
+            createCandidateChooser(error.certNumber, getGrader(error.grader)) :
+            null;
+        if (candidateChooser) {
+            candidateChooser.style.color = '#333';
+            errorContainer.appendChild(candidateChooser);
         }
         
-        // Method 5: Last resort - look for any standalone numbers that might be population
-        if (Object.keys(popData).length === 0) {
-            // Find elements that contain only a number and might be population data
-            const numberElements = Array.from(doc.querySelectorAll('*')).filter(el => {
-                const text = el.textContent.trim();
-                return /^\d+$/.test(text) && 
-                       text.length <= 6 && // Population counts are usually not extremely large
-                       el.children.length === 0; // Only leaf nodes
-            });
-            
-            // Sort by parent element proximity to elements containing "pop" or "population"
-            const popKeywords = ['pop', 'population'];
-            numberElements.sort((a, b) => {
-                const aScore = getPopKeywordProximityScore(a, popKeywords);
-                const bScore = getPopKeywordProximityScore(b, popKeywords);
-                return bScore - aScore; // Higher score first
+        // Insert the container into the page
+        insertPSADataContainer(errorContainer);
+    }
+
+    /**
+     * Build the chooser listing every cert number detected on the listing, with where it
+     * was found and the text around it. Picking one looks it up in place of the current one.
+     * On lot listings, candidates left out of the lot total are marked as such.
+     * @param {string|null} currentCertNumber - Cert number being shown, or null for the lot panel
+     * @param {object} grader - Grader definition from GRADERS
+     * @returns {HTMLElement|null} Chooser, or null if fewer than two candidates were found
+     */
+    function createCandidateChooser(currentCertNumber, grader) {
+        const listing = CertDetector.listing;
+        if (!listing || listing.graderId !== grader.id || listing.candidates.length < 2) return null;
+        
+        const chooser = document.createElement('div');
+        chooser.className = 'psa-cert-candidates';
+        chooser.style.margin = '10px 0';
+        chooser.style.padding = '6px 8px';
+        chooser.style.border = '1px solid #e5e5e5';
+        chooser.style.borderRadius = '4px';
+        chooser.style.backgroundColor = 'white';
+        chooser.style.fontSize = '12px';
+        
+        const lotCandidates = isLotListing() ? getLotCandidates() : null;
+        
+        const heading = document.createElement('div');
+        heading.textContent = `${listing.candidates.length} possible cert numbers found on this listing` +
+            (currentCertNumber ? '. Showing:' : ':');
+        heading.style.fontWeight = 'bold';
+        heading.style.marginBottom = '4px';
+        chooser.appendChild(heading);
+        
+        if (lotCandidates && lotCandidates.length > 1 && currentCertNumber) {
+            const lotLink = document.createElement('a');
+            lotLink.href = '#';
+            lotLink.textContent = 'Show the whole lot';
+            lotLink.style.display = 'block';
+            lotLink.style.marginBottom = '4px';
+            lotLink.style.color = '#0654ba';
+            lotLink.addEventListener('click', function(e) {
+                e.preventDefault();
+                fetchLotData(grader.id);
             });
-            
-            if (numberElements.length > 0) {
-                const currentGradeNum = grade.replace(/[^\d.]/g, '');
-                const popCount = numberElements[0].textContent.trim();
-                popData[`PSA ${currentGradeNum}`] = popCount;
-                console.log('Found potential population from standalone number:', popCount);
-            }
+            chooser.appendChild(lotLink);
         }
         
-        // Helper function to get sibling and nearby elements
-        function getSiblingElements(element) {
-            const siblings = [];
+        for (const candidate of listing.candidates) {
+            const option = document.createElement('label');
+            option.style.display = 'block';
+            option.style.padding = '3px 0';
+            option.style.cursor = 'pointer';
             
-            // Get direct siblings
-            let sibling = element.nextElementSibling;
-            if (sibling) siblings.push(sibling);
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'psa-cert-candidate';
+            radio.value = candidate.certNumber;
+            radio.checked = candidate.certNumber === currentCertNumber;
+            radio.style.marginRight = '6px';
+            radio.addEventListener('change', function() {
+                if (radio.checked && candidate.certNumber !== currentCertNumber) {
+                    console.log('Switching to cert number candidate:', candidate.certNumber);
+                    fetchPSAData(candidate.certNumber, grader.id);
+                }
+            });
+            option.appendChild(radio);
             
-            sibling = element.previousElementSibling;
-            if (sibling) siblings.push(sibling);
+            const certText = document.createElement('strong');
+            certText.textContent = candidate.certNumber;
+            option.appendChild(certText);
             
-            // Get parent siblings if available
-            if (element.parentElement) {
-                sibling = element.parentElement.nextElementSibling;
-                if (sibling) siblings.push(sibling);
-                
-                sibling = element.parentElement.previousElementSibling;
-                if (sibling) siblings.push(sibling);
+            const sourceText = document.createElement('span');
+            sourceText.textContent = ` · from ${candidate.sources.join(', ')} · ${Math.round(candidate.confidence * 100)}% confidence`;
+            sourceText.style.color = '#666';
+            option.appendChild(sourceText);
+            
+            if (lotCandidates && !lotCandidates.includes(candidate)) {
+                const excludedText = document.createElement('span');
+                excludedText.className = 'psa-lot-excluded';
+                excludedText.textContent = ' · not included in the lot total';
+                excludedText.style.color = '#b36b00';
+                option.appendChild(excludedText);
             }
             
-            // Add children of parent (other siblings)
-            if (element.parentElement) {
-                const children = element.parentElement.children;
-                for (const child of children) {
-                    if (child !== element) siblings.push(child);
-                }
+            if (candidate.snippet) {
+                const snippet = document.createElement('div');
+                snippet.textContent = `"${candidate.snippet}"`;
+                snippet.style.marginLeft = '20px';
+                snippet.style.color = '#666';
+                snippet.style.fontStyle = 'italic';
+                snippet.style.overflow = 'hidden';
+                snippet.style.textOverflow = 'ellipsis';
+                snippet.style.whiteSpace = 'nowrap';
+                snippet.title = candidate.snippet;
+                option.appendChild(snippet);
             }
             
-            return siblings;
+            chooser.appendChild(option);
         }
         
-        // Helper function to score elements by proximity to population keywords
-        function getPopKeywordProximityScore(element, keywords) {
-            let score = 0;
-            
-            // Check element's own text
-            const ownText = element.textContent.toLowerCase();
-            for (const keyword of keywords) {
-                if (ownText.includes(keyword)) {
-                    score += 10;
-                    break;
-                }
+        return chooser;
+    }
+    
+    /**
+     * Show the combined panel for a lot listing: each cert's card, grade and estimate, the
+     * total estimate and how it compares with the listing price
+     * @param {Array} results - { certNumber, psaData, error } for each cert, from fetchLotData
+     * @param {object} grader - Grader definition from GRADERS
+     */
+    function displayLotData(results, grader) {
+        const loadingIndicator = document.getElementById('psa-data-loading');
+        if (loadingIndicator) {
+            loadingIndicator.remove();
+        }
+        
+        const container = document.createElement('div');
+        container.id = 'psa-data-container';
+        container.style.border = '1px solid #e5e5e5';
+        container.style.borderRadius = '4px';
+        container.style.padding = '15px';
+        container.style.marginTop = '15px';
+        container.style.backgroundColor = '#f8f8f8';
+        
+        const header = document.createElement('div');
+        header.textContent = `${grader.name} Lot: ${results.length} Certs`;
+        header.style.fontWeight = 'bold';
+        header.style.fontSize = '16px';
+        header.style.marginBottom = '10px';
+        container.appendChild(header);
+        
+        const lotSize = getLotSize();
+        if (lotSize && lotSize !== results.length) {
+            const sizeNote = document.createElement('div');
+            sizeNote.textContent = `The title mentions ${lotSize} cards but ${results.length} cert numbers were found. ` +
+                'Add any missing ones to the estimate yourself.';
+            sizeNote.style.fontSize = '12px';
+            sizeNote.style.color = '#b36b00';
+            sizeNote.style.marginBottom = '8px';
+            container.appendChild(sizeNote);
+        }
+        
+        const table = document.createElement('table');
+        table.className = 'psa-lot-table';
+        table.style.width = '100%';
+        table.style.borderCollapse = 'collapse';
+        table.style.fontSize = '12px';
+        
+        const headerRow = document.createElement('tr');
+        ['Cert #', 'Card', 'Grade', 'Estimate'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            th.style.textAlign = label === 'Estimate' ? 'right' : 'left';
+            th.style.padding = '5px';
+            th.style.borderBottom = '1px solid #ccc';
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+        
+        let total = 0;
+        let pricedCount = 0;
+        
+        for (const result of results) {
+            const row = document.createElement('tr');
+            const estimate = result.psaData ?
+                findPSAPriceForGrade(result.psaData.priceData, parseGrade(result.psaData.grade)) :
+                null;
+            if (estimate !== null) {
+                total += estimate;
+                pricedCount++;
             }
             
-            // Check parent
-            if (element.parentElement) {
-                const parentText = element.parentElement.textContent.toLowerCase();
-                for (const keyword of keywords) {
-                    if (parentText.includes(keyword)) {
-                        score += 5;
-                        break;
-                    }
-                }
-            }
+            // The cert number opens that cert's full panel
+            const certLink = document.createElement('a');
+            certLink.href = '#';
+            certLink.textContent = result.certNumber;
+            certLink.title = 'Show this cert\'s details';
+            certLink.style.color = '#0654ba';
+            certLink.addEventListener('click', function(e) {
+                e.preventDefault();
+                fetchPSAData(result.certNumber, grader.id);
+            });
             
-            // Check siblings
-            const siblings = getSiblingElements(element);
-            for (const sibling of siblings) {
-                const siblingText = sibling.textContent.toLowerCase();
-                for (const keyword of keywords) {
-                    if (siblingText.includes(keyword)) {
-                        score += 3;
-                        break;
-                    }
-                }
+            let cardText;
+            if (result.psaData) {
+                cardText = result.psaData.cardName || 'Unknown Card';
+            } else if (result.error && result.error.type === FETCH_ERRORS.NOT_FOUND) {
+                cardText = 'Cert not found';
+            } else {
+                cardText = getFetchErrorMessage(result.error);
             }
             
-            return score;
+            const cells = [
+                certLink,
+                cardText,
+                result.psaData ? result.psaData.grade || '' : '',
+                estimate !== null ? CurrencyManager.format(estimate, 'USD') : 'No estimate'
+            ];
+            cells.forEach((content, index) => {
+                const td = document.createElement('td');
+                if (typeof content === 'string') {
+                    td.textContent = content;
+                } else {
+                    td.appendChild(content);
+                }
+                td.style.padding = '5px';
+                td.style.borderBottom = '1px solid #eee';
+                if (index === 3) td.style.textAlign = 'right';
+                if (!result.psaData && index === 1) td.style.color = '#cc0000';
+                row.appendChild(td);
+            });
+            table.appendChild(row);
         }
         
-        console.log('Extracted PSA data:', {
-            certNumber,
-            cardName,
-            grade,
-            priceData,
-            popData
-        });
+        const totalRow = document.createElement('tr');
+        const totalLabel = document.createElement('td');
+        totalLabel.colSpan = 3;
+        totalLabel.textContent = `Total (${pricedCount} of ${results.length} certs priced)`;
+        totalLabel.style.padding = '5px';
+        totalLabel.style.fontWeight = 'bold';
+        totalRow.appendChild(totalLabel);
+        const totalValue = document.createElement('td');
+        totalValue.className = 'psa-lot-total';
+        totalValue.textContent = CurrencyManager.format(total, 'USD');
+        totalValue.style.padding = '5px';
+        totalValue.style.fontWeight = 'bold';
+        totalValue.style.textAlign = 'right';
+        totalRow.appendChild(totalValue);
+        table.appendChild(totalRow);
+        
+        container.appendChild(table);
+        
+        if (pricedCount > 0 && pricedCount < results.length) {
+            const missingNote = document.createElement('div');
+            missingNote.textContent = 'Certs without an estimate are left out of the total, so the lot is likely worth more.';
+            missingNote.style.fontSize = '12px';
+            missingNote.style.color = '#666';
+            missingNote.style.marginTop = '6px';
+            container.appendChild(missingNote);
+        }
         
-        return {
-            certNumber,
-            cardName,
-            cardDetails,
-            grade,
-            priceData,
-            popData
-        };
+        // Weaker matches were left out of the total; offer them for a look on their own
+        if (CertDetector.listing.candidates.length > results.length) {
+            const candidateChooser = createCandidateChooser(null, grader);
+            if (candidateChooser) container.appendChild(candidateChooser);
+        }
+        
+        insertPSADataContainer(container);
+        
+        if (pricedCount > 0) {
+            appendPriceComparison(container, total,
+                `${grader.name} Lot Value (${pricedCount} of ${results.length} certs):`, grader);
+        }
     }
     
-    function displayPSAData(psaData) {
-        // Remove loading indicator if it exists
-        const loadingIndicator = document.getElementById('psa-data-loading');
-        if (loadingIndicator) {
-            loadingIndicator.remove();
-        }
+    function createLoadingIndicator(graderId) {
+        const loadingDiv = document.createElement('div');
+        loadingDiv.id = 'psa-data-loading';
+        loadingDiv.style.border = '1px solid #e5e5e5';
+        loadingDiv.style.borderRadius = '4px';
+        loadingDiv.style.padding = '15px';
+        loadingDiv.style.marginTop = '15px';
+        loadingDiv.style.backgroundColor = '#f8f8f8';
+        loadingDiv.style.textAlign = 'center';
+        
+        const loadingText = document.createElement('div');
+        loadingText.textContent = `Loading ${getGrader(graderId).name} data...`;
+        loadingText.style.marginBottom = '10px';
+        loadingDiv.appendChild(loadingText);
+        
+        const spinner = document.createElement('div');
+        spinner.style.display = 'inline-block';
+        spinner.style.width = '20px';
+        spinner.style.height = '20px';
+        spinner.style.border = '3px solid rgba(0, 0, 0, 0.1)';
+        spinner.style.borderRadius = '50%';
+        spinner.style.borderTop = '3px solid #3498db';
+        spinner.style.animation = 'spin 1s linear infinite';
+        loadingDiv.appendChild(spinner);
         
-        // Create container for PSA data
-        const container = document.createElement('div');
-        container.id = 'psa-data-container';
-        container.style.border = '1px solid #e5e5e5';
-        container.style.borderRadius = '4px';
-        container.style.padding = '15px';
-        container.style.marginTop = '15px';
-        container.style.backgroundColor = '#f8f8f8';
+        // Add keyframe animation for spinner
+        const style = document.createElement('style');
+        style.textContent = `
+            @keyframes spin {
+                0% { transform: rotate(0deg); }
+                100% { transform: rotate(360deg); }
+            }
+        `;
+        document.head.appendChild(style);
         
-        // Add cached indicator if this is from cache
-        const isCached = psaData._fromCache === true;
-        if (isCached) {
-            const cachedBadge = document.createElement('div');
-            cachedBadge.style.position = 'absolute';
-            cachedBadge.style.top = '5px';
-            cachedBadge.style.right = '5px';
-            cachedBadge.style.padding = '2px 5px';
-            cachedBadge.style.fontSize = '10px';
-            cachedBadge.style.backgroundColor = '#e8f4f8';
-            cachedBadge.style.color = '#0654ba';
-            cachedBadge.style.borderRadius = '3px';
-            cachedBadge.textContent = 'Cached';
-            cachedBadge.title = 'Data loaded from cache';
-            container.appendChild(cachedBadge);
-            
-            // Make container position relative for absolute positioning of badge
-            container.style.position = 'relative';
-        }
+        return loadingDiv;
+    }
+
+    /**
+     * Create a centred modal dialog over the page
+     * @param {string} titleText - Dialog title
+     * @param {string} width - CSS width of the dialog (default: 520px)
+     * @returns {object} overlay, body (where content goes) and close()
+     */
+    function createModalDialog(titleText, width) {
+        const overlay = document.createElement('div');
+        overlay.className = 'psa-modal-overlay';
+        overlay.style.position = 'fixed';
+        overlay.style.top = '0';
+        overlay.style.left = '0';
+        overlay.style.right = '0';
+        overlay.style.bottom = '0';
+        overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.4)';
+        overlay.style.zIndex = '10000';
+        overlay.style.display = 'flex';
+        overlay.style.alignItems = 'center';
+        overlay.style.justifyContent = 'center';
+        
+        const dialog = document.createElement('div');
+        dialog.style.backgroundColor = 'white';
+        dialog.style.borderRadius = '4px';
+        dialog.style.padding = '15px';
+        dialog.style.width = width || '520px';
+        dialog.style.maxWidth = '90vw';
+        dialog.style.maxHeight = '85vh';
+        dialog.style.overflowY = 'auto';
+        dialog.style.boxShadow = '0 4px 12px rgba(0,0,0,0.2)';
+        dialog.style.fontSize = '14px';
         
-        // Create header
         const header = document.createElement('div');
         header.style.display = 'flex';
         header.style.justifyContent = 'space-between';
@@ -1581,373 +4989,1031 @@
         header.style.marginBottom = '10px';
         
         const title = document.createElement('h3');
-        title.textContent = 'PSA Card Data';
+        title.textContent = titleText;
         title.style.margin = '0';
         title.style.fontSize = '16px';
         title.style.fontWeight = 'bold';
+        header.appendChild(title);
         
-        const psaLogo = document.createElement('img');
-        // Use the hosted PSA logo image
-        psaLogo.src = 'https://cconnect.s3.amazonaws.com/wp-content/uploads/2025/08/605205-1024x394.png';
-        psaLogo.alt = 'PSA Logo';
-        psaLogo.style.height = '20px';
-        psaLogo.onerror = function() {
-            // Fallback to original PSA website image if hosted image fails to load
-            console.log('Hosted PSA logo failed to load, using fallback');
-            this.src = 'https://www.psacard.com/images/logo-psa.svg';
-        };
+        const closeButton = document.createElement('button');
+        closeButton.textContent = '✕';
+        closeButton.title = 'Close';
+        closeButton.style.border = 'none';
+        closeButton.style.background = 'none';
+        closeButton.style.fontSize = '16px';
+        closeButton.style.cursor = 'pointer';
+        header.appendChild(closeButton);
         
-        header.appendChild(title);
-        header.appendChild(psaLogo);
-        container.appendChild(header);
+        const body = document.createElement('div');
         
-        // Card info section
-        const cardInfo = document.createElement('div');
-        cardInfo.style.marginBottom = '10px';
+        dialog.appendChild(header);
+        dialog.appendChild(body);
+        overlay.appendChild(dialog);
         
-        const cardName = document.createElement('div');
-        cardName.textContent = psaData.cardName;
-        cardName.style.fontWeight = 'bold';
-        cardInfo.appendChild(cardName);
+        function close() {
+            overlay.remove();
+        }
         
-        const certNumber = document.createElement('div');
-        certNumber.textContent = `Certification #: ${psaData.certNumber}`;
-        certNumber.style.fontSize = '14px';
-        cardInfo.appendChild(certNumber);
+        closeButton.addEventListener('click', close);
         
-        const grade = document.createElement('div');
-        grade.textContent = `Grade: ${psaData.grade}`;
-        grade.style.fontSize = '14px';
-        grade.style.fontWeight = 'bold';
-        cardInfo.appendChild(grade);
+        // Close when clicking the backdrop, but not the dialog itself
+        overlay.addEventListener('click', function(e) {
+            if (e.target === overlay) close();
+        });
         
-        container.appendChild(cardInfo);
+        document.body.appendChild(overlay);
         
-        // Price data section
-        if (Object.keys(psaData.priceData).length > 0) {
-            const priceSection = document.createElement('div');
-            priceSection.style.marginTop = '10px';
-            
-            const priceTitle = document.createElement('div');
-            priceTitle.textContent = 'Price Estimates:';
-            priceTitle.style.fontWeight = 'bold';
-            priceTitle.style.marginBottom = '5px';
-            priceSection.appendChild(priceTitle);
-            
-            const priceTable = document.createElement('table');
-            priceTable.style.width = '100%';
-            priceTable.style.borderCollapse = 'collapse';
-            
-            // Table header
-            const thead = document.createElement('thead');
-            const headerRow = document.createElement('tr');
-            
-            const gradeHeader = document.createElement('th');
-            gradeHeader.textContent = 'Grade';
-            gradeHeader.style.textAlign = 'left';
-            gradeHeader.style.padding = '5px';
-            headerRow.appendChild(gradeHeader);
-            
-            const priceHeader = document.createElement('th');
-            priceHeader.textContent = 'Est. Value';
-            priceHeader.style.textAlign = 'right';
-            priceHeader.style.padding = '5px';
-            headerRow.appendChild(priceHeader);
+        return { overlay: overlay, body: body, close: close };
+    }
+    
+    function openSettingsDialog() {
+        const modal = createModalDialog('PSA Lookup Settings');
+        const values = SettingsManager.getAll();
+        const inputs = {};
+        const errorLabels = {};
+        
+        const form = document.createElement('form');
+        
+        for (const [name, field] of Object.entries(SETTINGS_CONFIG.fields)) {
+            const row = document.createElement('div');
+            row.style.marginBottom = '10px';
             
-            thead.appendChild(headerRow);
-            priceTable.appendChild(thead);
+            const label = document.createElement('label');
+            label.style.display = 'flex';
+            label.style.justifyContent = 'space-between';
+            label.style.alignItems = 'center';
             
-            // Table body
-            const tbody = document.createElement('tbody');
+            const labelText = document.createElement('span');
+            labelText.textContent = field.label;
+            label.appendChild(labelText);
             
-            for (const [grade, price] of Object.entries(psaData.priceData)) {
-                const row = document.createElement('tr');
-                
-                const gradeCell = document.createElement('td');
-                gradeCell.textContent = grade;
-                gradeCell.style.padding = '5px';
-                row.appendChild(gradeCell);
-                
-                const priceCell = document.createElement('td');
-                priceCell.textContent = price;
-                priceCell.style.textAlign = 'right';
-                priceCell.style.padding = '5px';
-                row.appendChild(priceCell);
-                
-                tbody.appendChild(row);
+            let input;
+            if (field.type === 'boolean') {
+                input = document.createElement('input');
+                input.type = 'checkbox';
+                input.checked = values[name];
+            } else if (field.type === 'select') {
+                input = document.createElement('select');
+                for (const [optionValue, optionLabel] of Object.entries(field.options)) {
+                    const option = document.createElement('option');
+                    option.value = optionValue;
+                    option.textContent = optionLabel;
+                    input.appendChild(option);
+                }
+                input.value = values[name];
+            } else {
+                input = document.createElement('input');
+                input.type = 'number';
+                input.step = field.type === 'integer' ? '1' : 'any';
+                input.min = field.min;
+                input.max = field.max;
+                input.value = values[name];
+                input.style.width = '100px';
             }
+            input.style.marginLeft = '10px';
+            label.appendChild(input);
+            row.appendChild(label);
             
-            priceTable.appendChild(tbody);
-            priceSection.appendChild(priceTable);
-            container.appendChild(priceSection);
-        } else {
-            const noPriceData = document.createElement('div');
-            noPriceData.textContent = 'No price data available from PSA';
-            noPriceData.style.fontStyle = 'italic';
-            noPriceData.style.marginTop = '10px';
-            container.appendChild(noPriceData);
+            const errorLabel = document.createElement('div');
+            errorLabel.style.color = '#d8000c';
+            errorLabel.style.fontSize = '12px';
+            row.appendChild(errorLabel);
+            
+            inputs[name] = input;
+            errorLabels[name] = errorLabel;
+            form.appendChild(row);
         }
         
-        // Population data section
-        if (Object.keys(psaData.popData).length > 0) {
-            const popSection = document.createElement('div');
-            popSection.style.marginTop = '15px';
+        const buttons = document.createElement('div');
+        buttons.style.display = 'flex';
+        buttons.style.justifyContent = 'space-between';
+        buttons.style.marginTop = '15px';
+        
+        const resetButton = document.createElement('button');
+        resetButton.type = 'button';
+        resetButton.textContent = 'Reset to Defaults';
+        resetButton.style.padding = '5px 10px';
+        resetButton.style.cursor = 'pointer';
+        resetButton.addEventListener('click', function() {
+            for (const [name, field] of Object.entries(SETTINGS_CONFIG.fields)) {
+                if (field.type === 'boolean') {
+                    inputs[name].checked = field.default;
+                } else {
+                    inputs[name].value = field.default;
+                }
+            }
+        });
+        buttons.appendChild(resetButton);
+        
+        const saveButton = document.createElement('button');
+        saveButton.type = 'submit';
+        saveButton.textContent = 'Save';
+        saveButton.style.padding = '5px 15px';
+        saveButton.style.cursor = 'pointer';
+        saveButton.style.backgroundColor = '#0654ba';
+        saveButton.style.color = 'white';
+        saveButton.style.border = 'none';
+        saveButton.style.borderRadius = '3px';
+        saveButton.style.fontWeight = 'bold';
+        buttons.appendChild(saveButton);
+        
+        form.appendChild(buttons);
+        
+        form.addEventListener('submit', function(e) {
+            e.preventDefault();
             
-            const popTitle = document.createElement('div');
-            popTitle.textContent = 'Population Data:';
-            popTitle.style.fontWeight = 'bold';
-            popTitle.style.marginBottom = '5px';
-            popSection.appendChild(popTitle);
+            const newValues = {};
+            for (const [name, field] of Object.entries(SETTINGS_CONFIG.fields)) {
+                const input = inputs[name];
+                if (field.type === 'boolean') {
+                    newValues[name] = input.checked;
+                } else if (field.type === 'select') {
+                    newValues[name] = input.value;
+                } else {
+                    newValues[name] = input.value.trim() === '' ? NaN : Number(input.value);
+                }
+            }
             
-            const popTable = document.createElement('table');
-            popTable.style.width = '100%';
-            popTable.style.borderCollapse = 'collapse';
+            const errors = SettingsManager.save(newValues);
+            for (const name of Object.keys(SETTINGS_CONFIG.fields)) {
+                errorLabels[name].textContent = errors[name] || '';
+                inputs[name].style.outline = errors[name] ? '1px solid #d8000c' : '';
+            }
             
-            // Table header
-            const thead = document.createElement('thead');
-            const headerRow = document.createElement('tr');
+            if (Object.keys(errors).length === 0) {
+                modal.close();
+                alert('Settings saved. Some changes take effect the next time the page loads.');
+            }
+        });
+        
+        modal.body.appendChild(form);
+    }
+
+    function openCacheBrowser() {
+        const modal = createModalDialog('Cached Certifications', '760px');
+        
+        // Entries whose stored data is shown below their row
+        const expandedKeys = new Set();
+        
+        // Summary line and toolbar
+        const summary = document.createElement('div');
+        summary.style.fontSize = '12px';
+        summary.style.color = '#666';
+        summary.style.marginBottom = '10px';
+        modal.body.appendChild(summary);
+        
+        const toolbar = document.createElement('div');
+        toolbar.style.display = 'flex';
+        toolbar.style.marginBottom = '10px';
+        
+        const searchInput = document.createElement('input');
+        searchInput.type = 'search';
+        searchInput.placeholder = 'Search by card name or cert number';
+        searchInput.style.flex = '1';
+        searchInput.style.padding = '5px 8px';
+        searchInput.style.border = '1px solid #ccc';
+        searchInput.style.borderRadius = '3px';
+        searchInput.addEventListener('input', render);
+        toolbar.appendChild(searchInput);
+        
+        const removeExpiredButton = document.createElement('button');
+        removeExpiredButton.textContent = 'Delete Expired';
+        removeExpiredButton.style.marginLeft = '8px';
+        removeExpiredButton.style.padding = '5px 10px';
+        removeExpiredButton.style.cursor = 'pointer';
+        removeExpiredButton.addEventListener('click', function() {
+            const removed = CacheManager.removeExpired();
+            alert(`Deleted ${removed} expired ${removed === 1 ? 'entry' : 'entries'}.`);
+            render();
+        });
+        toolbar.appendChild(removeExpiredButton);
+        
+        modal.body.appendChild(toolbar);
+        
+        // Export and import
+        const transferBar = document.createElement('div');
+        transferBar.style.display = 'flex';
+        transferBar.style.marginBottom = '10px';
+        transferBar.style.fontSize = '12px';
+        
+        const exportJSONButton = document.createElement('button');
+        exportJSONButton.textContent = 'Export JSON';
+        exportJSONButton.title = 'Download all cached data and price history';
+        exportJSONButton.addEventListener('click', () => ExportManager.exportJSON());
+        
+        const exportCSVButton = document.createElement('button');
+        exportCSVButton.textContent = 'Export CSV';
+        exportCSVButton.title = 'Download a spreadsheet with one row per observation';
+        exportCSVButton.addEventListener('click', () => ExportManager.exportCSV());
+        
+        const importInput = document.createElement('input');
+        importInput.type = 'file';
+        importInput.accept = '.json,application/json';
+        importInput.style.display = 'none';
+        importInput.addEventListener('change', function() {
+            const file = importInput.files[0];
+            if (!file) return;
             
-            const gradeHeader = document.createElement('th');
-            gradeHeader.textContent = 'Grade';
-            gradeHeader.style.textAlign = 'left';
-            gradeHeader.style.padding = '5px';
-            headerRow.appendChild(gradeHeader);
+            const reader = new FileReader();
+            reader.onload = function() {
+                try {
+                    const result = ExportManager.importJSON(reader.result);
+                    alert(`Import complete: ${result.added} added, ${result.updated} updated, ` +
+                        `${result.skipped} skipped, ${result.historyAdded} history snapshots added.`);
+                } catch (e) {
+                    console.error('Error importing cache data:', e);
+                    alert('Import failed: ' + e.message);
+                }
+                importInput.value = '';
+                render();
+            };
+            reader.readAsText(file);
+        });
+        
+        const importButton = document.createElement('button');
+        importButton.textContent = 'Import JSON...';
+        importButton.title = 'Merge an export into this cache, keeping the newer data for each cert';
+        importButton.addEventListener('click', () => importInput.click());
+        
+        [exportJSONButton, exportCSVButton, importButton].forEach(button => {
+            button.style.marginRight = '8px';
+            button.style.padding = '3px 8px';
+            button.style.cursor = 'pointer';
+            transferBar.appendChild(button);
+        });
+        transferBar.appendChild(importInput);
+        modal.body.appendChild(transferBar);
+        
+        const table = document.createElement('table');
+        table.style.width = '100%';
+        table.style.borderCollapse = 'collapse';
+        table.style.fontSize = '12px';
+        
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        ['Card', 'Cert #', 'Grade', 'Cached', 'Expires', ''].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            th.style.textAlign = 'left';
+            th.style.padding = '5px';
+            th.style.borderBottom = '1px solid #ccc';
+            headerRow.appendChild(th);
+        });
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+        
+        const tbody = document.createElement('tbody');
+        table.appendChild(tbody);
+        modal.body.appendChild(table);
+        
+        function render() {
+            const entries = CacheManager.listEntries();
+            const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+            const expiredCount = entries.filter(entry => entry.isExpired).length;
+            summary.textContent = `${entries.length} cached ${entries.length === 1 ? 'cert' : 'certs'} · ` +
+                `${expiredCount} expired · ${formatBytes(totalSize)} used`;
             
-            const popHeader = document.createElement('th');
-            popHeader.textContent = 'Population';
-            popHeader.style.textAlign = 'right';
-            popHeader.style.padding = '5px';
-            headerRow.appendChild(popHeader);
+            const query = searchInput.value.trim().toLowerCase();
+            const matches = entries
+                .filter(entry => !query ||
+                    entry.cardName.toLowerCase().includes(query) ||
+                    entry.certNumber.includes(query))
+                .sort((a, b) => b.timestamp - a.timestamp);
             
-            thead.appendChild(headerRow);
-            popTable.appendChild(thead);
+            tbody.innerHTML = '';
             
-            // Table body
-            const tbody = document.createElement('tbody');
+            if (matches.length === 0) {
+                const row = document.createElement('tr');
+                const cell = document.createElement('td');
+                cell.colSpan = 6;
+                cell.textContent = query ? 'No cached certs match your search.' : 'The cache is empty.';
+                cell.style.padding = '10px 5px';
+                cell.style.fontStyle = 'italic';
+                row.appendChild(cell);
+                tbody.appendChild(row);
+                return;
+            }
             
-            for (const [grade, pop] of Object.entries(psaData.popData)) {
+            for (const entry of matches) {
                 const row = document.createElement('tr');
+                row.style.borderBottom = '1px solid #eee';
+                if (entry.isExpired) {
+                    row.style.color = '#999';
+                }
                 
-                const gradeCell = document.createElement('td');
-                gradeCell.textContent = grade;
-                gradeCell.style.padding = '5px';
-                row.appendChild(gradeCell);
+                const grader = getGrader(entry.grader);
+                const cells = [
+                    entry.cardName,
+                    grader.id === 'psa' ? entry.certNumber : `${grader.name} ${entry.certNumber}`,
+                    entry.grade,
+                    new Date(entry.timestamp).toLocaleString(),
+                    entry.isExpired ? 'Expired' : new Date(entry.expiration).toLocaleString()
+                ];
+                cells.forEach(text => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    cell.style.padding = '5px';
+                    row.appendChild(cell);
+                });
+                
+                const actionCell = document.createElement('td');
+                actionCell.style.padding = '5px';
+                actionCell.style.textAlign = 'right';
+                
+                const viewButton = document.createElement('button');
+                viewButton.textContent = expandedKeys.has(entry.key) ? 'Hide' : 'View';
+                viewButton.title = 'Show the stored data, including how each field was parsed';
+                viewButton.style.fontSize = '11px';
+                viewButton.style.marginRight = '4px';
+                viewButton.style.cursor = 'pointer';
+                viewButton.addEventListener('click', function() {
+                    if (expandedKeys.has(entry.key)) {
+                        expandedKeys.delete(entry.key);
+                    } else {
+                        expandedKeys.add(entry.key);
+                    }
+                    render();
+                });
+                actionCell.appendChild(viewButton);
                 
-                const popCell = document.createElement('td');
-                popCell.textContent = pop;
-                popCell.style.textAlign = 'right';
-                popCell.style.padding = '5px';
-                row.appendChild(popCell);
+                const deleteButton = document.createElement('button');
+                deleteButton.textContent = 'Delete';
+                deleteButton.title = `Size: ${formatBytes(entry.size)}`;
+                deleteButton.style.fontSize = '11px';
+                deleteButton.style.cursor = 'pointer';
+                deleteButton.addEventListener('click', function() {
+                    CacheManager.removeEntry(entry.key);
+                    expandedKeys.delete(entry.key);
+                    render();
+                });
+                actionCell.appendChild(deleteButton);
+                row.appendChild(actionCell);
                 
                 tbody.appendChild(row);
+                
+                if (expandedKeys.has(entry.key)) {
+                    tbody.appendChild(createCacheEntryDetails(CacheManager.getStoredEntry(entry.key)));
+                }
             }
-            
-            popTable.appendChild(tbody);
-            popSection.appendChild(popTable);
-            container.appendChild(popSection);
         }
         
-        // Add footer with links and cache controls
-        const footer = document.createElement('div');
-        footer.style.display = 'flex';
-        footer.style.justifyContent = 'space-between';
-        footer.style.alignItems = 'center';
-        footer.style.marginTop = '15px';
-        
-        // Left side: Cache controls
-        const cacheControls = document.createElement('div');
-        
-        // Create refresh button
-        const refreshButton = document.createElement('button');
-        refreshButton.textContent = '🔄 Refresh';
-        refreshButton.title = 'Refresh data from PSA';
-        refreshButton.style.fontSize = '12px';
-        refreshButton.style.padding = '3px 8px';
-        refreshButton.style.marginRight = '8px';
-        refreshButton.style.backgroundColor = '#f0f0f0';
-        refreshButton.style.border = '1px solid #ccc';
-        refreshButton.style.borderRadius = '3px';
-        refreshButton.style.cursor = 'pointer';
-        refreshButton.addEventListener('click', function() {
-            // Remove from cache and fetch fresh data
-            CacheManager.removeData(psaData.certNumber);
-            fetchPSAData(psaData.certNumber);
-        });
-        
-        // Create cache info/settings dropdown
-        const cacheInfoButton = document.createElement('button');
-        cacheInfoButton.textContent = '⚙️ Cache';
-        cacheInfoButton.title = 'Cache settings';
-        cacheInfoButton.style.fontSize = '12px';
-        cacheInfoButton.style.padding = '3px 8px';
-        cacheInfoButton.style.backgroundColor = '#f0f0f0';
-        cacheInfoButton.style.border = '1px solid #ccc';
-        cacheInfoButton.style.borderRadius = '3px';
-        cacheInfoButton.style.cursor = 'pointer';
-        
-        // Cache dropdown menu
-        const cacheDropdown = document.createElement('div');
-        cacheDropdown.style.position = 'absolute';
-        cacheDropdown.style.backgroundColor = 'white';
-        cacheDropdown.style.border = '1px solid #ccc';
-        cacheDropdown.style.borderRadius = '3px';
-        cacheDropdown.style.padding = '8px';
-        cacheDropdown.style.marginTop = '5px';
-        cacheDropdown.style.boxShadow = '0 2px 5px rgba(0,0,0,0.1)';
-        cacheDropdown.style.zIndex = '1000';
-        cacheDropdown.style.display = 'none';
+        render();
+        searchInput.focus();
+    }
+    
+    /**
+     * Build the cache browser row showing one stored entry: which strategy produced each
+     * parsed field and with what confidence, then the full stored JSON
+     * @param {object|null} storedEntry - Entry from CacheManager.getStoredEntry
+     * @returns {HTMLTableRowElement} Row spanning the whole table
+     */
+    function createCacheEntryDetails(storedEntry) {
+        const row = document.createElement('tr');
+        row.className = 'psa-cache-entry-details';
+        const cell = document.createElement('td');
+        cell.colSpan = 6;
+        cell.style.padding = '5px 5px 10px 5px';
+        cell.style.backgroundColor = '#f8f8f8';
+        row.appendChild(cell);
+        
+        if (!storedEntry) {
+            cell.textContent = 'This entry could not be read.';
+            cell.style.fontStyle = 'italic';
+            return row;
+        }
         
-        // Add cache info
-        if (psaData._fromCache) {
-            const cacheTimestamp = new Date(psaData._cacheTimestamp).toLocaleString();
-            const cacheExpiration = new Date(psaData._cacheExpiration).toLocaleString();
-            
-            const cacheInfo = document.createElement('div');
-            cacheInfo.style.marginBottom = '8px';
-            cacheInfo.style.fontSize = '12px';
-            cacheInfo.innerHTML = `
-                <div><strong>Cached:</strong> ${cacheTimestamp}</div>
-                <div><strong>Expires:</strong> ${cacheExpiration}</div>
-            `;
-            cacheDropdown.appendChild(cacheInfo);
+        const parseInfo = storedEntry.data && storedEntry.data.parseInfo;
+        if (parseInfo && parseInfo.fields) {
+            const parseSummary = document.createElement('div');
+            parseSummary.style.marginBottom = '5px';
+            parseSummary.textContent = `Parser v${parseInfo.parserVersion}: ` + Object.entries(parseInfo.fields)
+                .map(([field, info]) => info.strategy ?
+                    `${field} from ${info.strategy} (${Math.round(info.confidence * 100)}%)` :
+                    `${field} not found`)
+                .join(' · ');
+            cell.appendChild(parseSummary);
         }
         
-        // Add clear cache button
-        const clearCacheButton = document.createElement('button');
-        clearCacheButton.textContent = 'Clear All Cache';
-        clearCacheButton.style.width = '100%';
-        clearCacheButton.style.padding = '5px';
-        clearCacheButton.style.marginTop = '5px';
-        clearCacheButton.style.cursor = 'pointer';
-        clearCacheButton.addEventListener('click', function() {
-            if (confirm('Are you sure you want to clear all cached PSA data?')) {
-                CacheManager.clearAllData();
-                alert('Cache cleared successfully');
-                cacheDropdown.style.display = 'none';
+        const json = document.createElement('pre');
+        json.textContent = JSON.stringify(storedEntry, null, 2);
+        json.style.maxHeight = '250px';
+        json.style.overflow = 'auto';
+        json.style.margin = '0';
+        json.style.padding = '6px';
+        json.style.fontSize = '11px';
+        json.style.backgroundColor = 'white';
+        json.style.border = '1px solid #e5e5e5';
+        json.style.whiteSpace = 'pre-wrap';
+        json.style.wordBreak = 'break-all';
+        cell.appendChild(json);
+        
+        return row;
+    }
+    
+    /**
+     * Split pasted text into cert numbers, one per line or separated by commas, semicolons
+     * or spaces. Duplicates are dropped; tokens with digits that don't look like a cert
+     * number for the grader are reported back.
+     * @param {string} text - Pasted text
+     * @param {object} grader - Grader from GRADERS
+     * @returns {object} certNumbers (in order) and invalid tokens
+     */
+    function parseCertList(text, grader) {
+        const certNumbers = [];
+        const invalid = [];
+        
+        for (const token of (text || '').split(/[\s,;]+/)) {
+            // Words like "PSA" or "Cert" pasted along with the numbers are ignored
+            if (!/\d/.test(token)) continue;
+            
+            const certNumber = token.replace(/[^0-9]/g, '');
+            if (!grader.isLikelyCertNumber(certNumber)) {
+                invalid.push(token);
+            } else if (!certNumbers.includes(certNumber)) {
+                certNumbers.push(certNumber);
             }
-        });
-        cacheDropdown.appendChild(clearCacheButton);
+        }
         
-        // Toggle dropdown
-        cacheInfoButton.addEventListener('click', function(e) {
-            e.stopPropagation();
-            const isVisible = cacheDropdown.style.display === 'block';
-            cacheDropdown.style.display = isVisible ? 'none' : 'block';
+        return { certNumbers: certNumbers, invalid: invalid };
+    }
+    
+    /**
+     * Open the batch lookup dialog: paste many cert numbers, look them all up through the
+     * request queue and get a sortable table of card, grade and value that can be exported
+     * as CSV
+     * @param {string} graderId - Grader to select initially (default: 'psa')
+     */
+    function openBatchLookupDialog(graderId) {
+        const modal = createModalDialog('Batch Cert Lookup', '760px');
+        const results = [];
+        let sortKey = null;
+        let sortDescending = false;
+        let running = false;
+        let stopped = false;
+        
+        const intro = document.createElement('div');
+        intro.textContent = 'Paste cert numbers, one per line or separated by commas. Cached certs are ' +
+            'filled in straight away; the rest are fetched a few at a time.';
+        intro.style.fontSize = '12px';
+        intro.style.color = '#666';
+        intro.style.marginBottom = '8px';
+        modal.body.appendChild(intro);
+        
+        const textArea = document.createElement('textarea');
+        textArea.rows = 6;
+        textArea.placeholder = '12345678\n23456789, 34567890';
+        textArea.style.width = '100%';
+        textArea.style.boxSizing = 'border-box';
+        textArea.style.padding = '5px 8px';
+        textArea.style.border = '1px solid #ccc';
+        textArea.style.borderRadius = '3px';
+        textArea.style.fontFamily = 'monospace';
+        modal.body.appendChild(textArea);
+        
+        const toolbar = document.createElement('div');
+        toolbar.style.display = 'flex';
+        toolbar.style.alignItems = 'center';
+        toolbar.style.margin = '8px 0';
+        toolbar.style.fontSize = '12px';
+        
+        const graderSelect = document.createElement('select');
+        graderSelect.style.marginRight = '8px';
+        graderSelect.style.padding = '3px';
+        for (const grader of Object.values(GRADERS)) {
+            const option = document.createElement('option');
+            option.value = grader.id;
+            option.textContent = grader.name;
+            graderSelect.appendChild(option);
+        }
+        graderSelect.value = getGrader(graderId).id;
+        toolbar.appendChild(graderSelect);
+        
+        const lookUpButton = document.createElement('button');
+        lookUpButton.textContent = 'Look Up';
+        lookUpButton.addEventListener('click', start);
+        
+        const stopButton = document.createElement('button');
+        stopButton.textContent = 'Stop';
+        stopButton.disabled = true;
+        stopButton.addEventListener('click', function() {
+            stopped = true;
+            stopButton.disabled = true;
         });
         
-        // Close dropdown when clicking elsewhere
-        document.addEventListener('click', function() {
-            cacheDropdown.style.display = 'none';
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export CSV';
+        exportButton.title = 'Download the results table as a spreadsheet';
+        exportButton.disabled = true;
+        exportButton.addEventListener('click', exportCSV);
+        
+        [lookUpButton, stopButton, exportButton].forEach(button => {
+            button.style.marginRight = '8px';
+            button.style.padding = '3px 8px';
+            button.style.cursor = 'pointer';
+            toolbar.appendChild(button);
         });
+        modal.body.appendChild(toolbar);
+        
+        // Progress text and bar
+        const progressText = document.createElement('div');
+        progressText.style.fontSize = '12px';
+        progressText.style.color = '#666';
+        modal.body.appendChild(progressText);
+        
+        const progressTrack = document.createElement('div');
+        progressTrack.style.height = '6px';
+        progressTrack.style.backgroundColor = '#f0f0f0';
+        progressTrack.style.margin = '4px 0 10px 0';
+        progressTrack.style.display = 'none';
+        const progressBar = document.createElement('div');
+        progressBar.style.height = '100%';
+        progressBar.style.width = '0%';
+        progressBar.style.backgroundColor = '#0654ba';
+        progressTrack.appendChild(progressBar);
+        modal.body.appendChild(progressTrack);
+        
+        // Sortable columns; null values always sort last
+        const columns = [
+            { key: 'cardName', label: 'Card', getValue: result => result.psaData ? result.psaData.cardName : null },
+            { key: 'certNumber', label: 'Cert #', getValue: result => result.certNumber },
+            { key: 'grade', label: 'Grade', getValue: result => result.gradeModel ? result.gradeModel.value : null,
+                getText: result => result.psaData ? result.psaData.grade : '' },
+            { key: 'value', label: 'Value', getValue: result => result.value,
+                getText: result => result.value !== null ? CurrencyManager.format(result.value, 'USD') : '' },
+            { key: 'status', label: 'Status', getValue: result => result.status }
+        ];
         
-        cacheDropdown.addEventListener('click', function(e) {
-            e.stopPropagation();
-        });
+        const table = document.createElement('table');
+        table.style.width = '100%';
+        table.style.borderCollapse = 'collapse';
+        table.style.fontSize = '12px';
+        
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        const headerCells = {};
+        for (const column of columns) {
+            const th = document.createElement('th');
+            th.textContent = column.label;
+            th.title = `Sort by ${column.label.toLowerCase()}`;
+            th.style.textAlign = column.key === 'value' ? 'right' : 'left';
+            th.style.padding = '5px';
+            th.style.borderBottom = '1px solid #ccc';
+            th.style.cursor = 'pointer';
+            th.style.userSelect = 'none';
+            th.addEventListener('click', function() {
+                sortDescending = sortKey === column.key ? !sortDescending : false;
+                sortKey = column.key;
+                render();
+            });
+            headerCells[column.key] = th;
+            headerRow.appendChild(th);
+        }
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
         
-        // Add buttons to cache controls
-        cacheControls.appendChild(refreshButton);
-        cacheControls.appendChild(cacheInfoButton);
-        cacheControls.appendChild(cacheDropdown);
-        footer.appendChild(cacheControls);
+        const tbody = document.createElement('tbody');
+        table.appendChild(tbody);
+        modal.body.appendChild(table);
         
-        // Right side: PSA website link
-        const psaLink = document.createElement('a');
-        psaLink.href = `https://www.psacard.com/cert/${psaData.certNumber}/psa`;
-        psaLink.textContent = 'View on PSA Website';
-        psaLink.target = '_blank';
-        psaLink.style.color = '#0654ba';
-        footer.appendChild(psaLink);
+        function start() {
+            if (running) return;
+            
+            const grader = getGrader(graderSelect.value);
+            const parsed = parseCertList(textArea.value, grader);
+            if (parsed.certNumbers.length === 0) {
+                progressText.textContent = `No ${grader.name} cert numbers found in the pasted text.`;
+                return;
+            }
+            
+            results.length = 0;
+            parsed.certNumbers.forEach(certNumber => results.push({
+                certNumber: certNumber,
+                grader: grader,
+                psaData: null,
+                gradeModel: null,
+                value: null,
+                status: 'Queued',
+                failed: false
+            }));
+            
+            running = true;
+            stopped = false;
+            lookUpButton.disabled = true;
+            stopButton.disabled = false;
+            exportButton.disabled = true;
+            progressTrack.style.display = 'block';
+            
+            if (parsed.invalid.length > 0) {
+                console.log(`Batch lookup skipped entries that aren't ${grader.name} cert numbers:`, parsed.invalid);
+            }
+            
+            const skippedNote = parsed.invalid.length > 0 ?
+                ` Skipped ${parsed.invalid.length} that ${parsed.invalid.length === 1 ? "isn't a cert number" : "aren't cert numbers"}: ${parsed.invalid.slice(0, 5).join(', ')}${parsed.invalid.length > 5 ? ', ...' : ''}.` :
+                '';
+            
+            // Feed the queue a few certs at a time so Stop (or closing the dialog) takes
+            // effect before everything has been sent
+            let nextIndex = 0;
+            let finished = 0;
+            
+            function isCancelled() {
+                return stopped || !document.body.contains(modal.overlay);
+            }
+            
+            function updateProgress() {
+                const total = results.length;
+                const failed = results.filter(result => result.failed).length;
+                progressBar.style.width = `${(finished / total) * 100}%`;
+                progressText.textContent = `${finished} of ${total} looked up` +
+                    (failed > 0 ? `, ${failed} failed` : '') +
+                    (stopped && finished < total ? ' (stopped)' : '') + '.' + skippedNote;
+            }
+            
+            function done() {
+                results.filter(result => result.status === 'Queued').forEach(result => {
+                    result.status = 'Stopped';
+                });
+                running = false;
+                lookUpButton.disabled = false;
+                stopButton.disabled = true;
+                exportButton.disabled = false;
+                updateProgress();
+                render();
+            }
+            
+            function startNext() {
+                if (isCancelled() || nextIndex >= results.length) return;
+                
+                const result = results[nextIndex++];
+                result.status = 'Looking up...';
+                
+                PSARequestQueue.enqueue(result.certNumber, {
+                    onLoad: function(psaData) {
+                        result.psaData = psaData;
+                        result.gradeModel = parseGrade(psaData.grade);
+                        result.value = findPSAPriceForGrade(psaData.priceData, result.gradeModel);
+                        result.status = 'Done';
+                        complete();
+                    },
+                    onError: function(error) {
+                        result.failed = true;
+                        result.status = error && error.type === FETCH_ERRORS.NOT_FOUND ?
+                            'Cert not found' :
+                            getFetchErrorMessage(error);
+                        complete();
+                    }
+                }, result.grader.id);
+            }
+            
+            function complete() {
+                finished++;
+                
+                // Wait for requests already sent before wrapping up a stopped batch
+                if (finished === results.length || (isCancelled() && finished === nextIndex)) {
+                    done();
+                    return;
+                }
+                
+                updateProgress();
+                render();
+                startNext();
+            }
+            
+            updateProgress();
+            render();
+            for (let i = 0; i < SEARCH_CONFIG.maxConcurrentRequests; i++) {
+                startNext();
+            }
+        }
         
-        container.appendChild(footer);
+        function getSortedResults() {
+            const column = columns.find(c => c.key === sortKey);
+            if (!column) return results.slice();
+            
+            return results.slice().sort((a, b) => {
+                const valueA = column.getValue(a);
+                const valueB = column.getValue(b);
+                if (valueA === null || valueA === undefined) return 1;
+                if (valueB === null || valueB === undefined) return -1;
+                
+                const order = typeof valueA === 'number' && typeof valueB === 'number' ?
+                    valueA - valueB :
+                    String(valueA).localeCompare(String(valueB), undefined, { numeric: true });
+                return sortDescending ? -order : order;
+            });
+        }
         
-        // Insert the container into the page
-        insertPSADataContainer(container);
+        function render() {
+            for (const column of columns) {
+                headerCells[column.key].textContent = column.label +
+                    (sortKey === column.key ? (sortDescending ? ' ▼' : ' ▲') : '');
+            }
+            
+            tbody.innerHTML = '';
+            for (const result of getSortedResults()) {
+                const row = document.createElement('tr');
+                row.style.borderBottom = '1px solid #eee';
+                
+                for (const column of columns) {
+                    const cell = document.createElement('td');
+                    const value = column.getText ? column.getText(result) : column.getValue(result);
+                    cell.textContent = value === null || value === undefined ? '' : value;
+                    cell.style.padding = '5px';
+                    if (column.key === 'value') cell.style.textAlign = 'right';
+                    if (column.key === 'status' && result.status !== 'Done') cell.style.color = '#666';
+                    row.appendChild(cell);
+                }
+                
+                tbody.appendChild(row);
+            }
+        }
         
-        // Compare with eBay listing price
-        compareWithListingPrice();
+        function exportCSV() {
+            const header = ['cert', 'grader', 'card', 'grade', 'value_usd', 'population', 'status'];
+            const rows = getSortedResults().map(result => {
+                const popEntry = result.psaData && result.gradeModel ?
+                    (result.psaData.popData || []).find(entry => entry.gradeKey === result.gradeModel.key) :
+                    null;
+                return [
+                    result.certNumber,
+                    result.grader.id,
+                    result.psaData ? result.psaData.cardName : '',
+                    result.psaData ? result.psaData.grade : '',
+                    result.value,
+                    popEntry ? popEntry.value : null,
+                    result.status
+                ];
+            });
+            downloadFile(`psa-batch-${getDateStamp()}.csv`, toCSV([header].concat(rows)), 'text/csv');
+        }
+        
+        textArea.focus();
     }
     
-    function displayError(errorMessage) {
-        // Remove loading indicator if it exists
-        const loadingIndicator = document.getElementById('psa-data-loading');
-        if (loadingIndicator) {
-            loadingIndicator.remove();
-        }
+    /**
+     * Format a gain or loss as "+$120.00 (+15.0%)" with a color for the sign
+     * @param {number} gain - Gain (negative for a loss) in US dollars
+     * @param {number|null} percent - Gain as a percentage of cost, if known
+     * @returns {object} text and color
+     */
+    function formatGainLoss(gain, percent) {
+        const sign = gain > 0 ? '+' : gain < 0 ? '-' : '';
+        const percentText = percent === null ? '' : ` (${sign}${Math.abs(percent).toFixed(1)}%)`;
+        return {
+            text: `${sign}${CurrencyManager.format(Math.abs(gain), 'USD')}${percentText}`,
+            color: gain > 0 ? '#4F8A10' : gain < 0 ? '#d8000c' : '#666'
+        };
+    }
+    
+    /**
+     * Open the collection view: every slab we've recorded with its cost, current estimate
+     * and gain/loss, plus portfolio totals
+     */
+    function openCollectionDialog() {
+        const modal = createModalDialog('My Collection', '760px');
+        
+        const summary = document.createElement('div');
+        summary.style.fontSize = '13px';
+        summary.style.marginBottom = '10px';
+        modal.body.appendChild(summary);
+        
+        const toolbar = document.createElement('div');
+        toolbar.style.display = 'flex';
+        toolbar.style.alignItems = 'center';
+        toolbar.style.marginBottom = '10px';
+        toolbar.style.fontSize = '12px';
         
-        // Create error message container
-        const errorContainer = document.createElement('div');
-        errorContainer.id = 'psa-data-error';
-        errorContainer.style.border = '1px solid #e5e5e5';
-        errorContainer.style.borderRadius = '4px';
-        errorContainer.style.padding = '15px';
-        errorContainer.style.marginTop = '15px';
-        errorContainer.style.backgroundColor = '#fff0f0';
-        errorContainer.style.color = '#d8000c';
+        const refreshButton = document.createElement('button');
+        refreshButton.textContent = '🔄 Refresh Stale';
+        refreshButton.title = 'Look up current estimates for certs valued more than a week ago';
+        refreshButton.style.padding = '3px 8px';
+        refreshButton.style.cursor = 'pointer';
+        toolbar.appendChild(refreshButton);
         
-        const errorText = document.createElement('div');
-        errorText.textContent = errorMessage;
-        errorContainer.appendChild(errorText);
+        const refreshStatus = document.createElement('span');
+        refreshStatus.style.marginLeft = '8px';
+        refreshStatus.style.color = '#666';
+        toolbar.appendChild(refreshStatus);
         
-        // Add retry button
-        const retryButton = document.createElement('button');
-        retryButton.textContent = 'Retry';
-        retryButton.style.marginTop = '10px';
-        retryButton.style.padding = '5px 10px';
-        retryButton.style.cursor = 'pointer';
-        retryButton.addEventListener('click', function() {
-            errorContainer.remove();
-            initScript();
+        refreshButton.addEventListener('click', function() {
+            refreshButton.disabled = true;
+            const count = CollectionManager.refreshStale(function(done, total) {
+                refreshStatus.textContent = `Refreshed ${done} of ${total}`;
+                render();
+                if (done === total) {
+                    refreshButton.disabled = false;
+                }
+            });
+            
+            if (count === 0) {
+                refreshStatus.textContent = 'All valuations are up to date.';
+                refreshButton.disabled = false;
+            }
         });
-        errorContainer.appendChild(retryButton);
-        
-        // Insert the container into the page
-        insertPSADataContainer(errorContainer);
-    }
-
-    function createLoadingIndicator() {
-        const loadingDiv = document.createElement('div');
-        loadingDiv.id = 'psa-data-loading';
-        loadingDiv.style.border = '1px solid #e5e5e5';
-        loadingDiv.style.borderRadius = '4px';
-        loadingDiv.style.padding = '15px';
-        loadingDiv.style.marginTop = '15px';
-        loadingDiv.style.backgroundColor = '#f8f8f8';
-        loadingDiv.style.textAlign = 'center';
         
-        const loadingText = document.createElement('div');
-        loadingText.textContent = 'Loading PSA data...';
-        loadingText.style.marginBottom = '10px';
-        loadingDiv.appendChild(loadingText);
+        modal.body.appendChild(toolbar);
+        
+        const table = document.createElement('table');
+        table.style.width = '100%';
+        table.style.borderCollapse = 'collapse';
+        table.style.fontSize = '12px';
+        
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        ['Card', 'Cert #', 'Grade', 'Bought', 'Cost', 'Estimate', 'Gain/Loss', ''].forEach((text, index) => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            th.style.textAlign = index >= 4 && index <= 6 ? 'right' : 'left';
+            th.style.padding = '5px';
+            th.style.borderBottom = '1px solid #ccc';
+            headerRow.appendChild(th);
+        });
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
         
-        const spinner = document.createElement('div');
-        spinner.style.display = 'inline-block';
-        spinner.style.width = '20px';
-        spinner.style.height = '20px';
-        spinner.style.border = '3px solid rgba(0, 0, 0, 0.1)';
-        spinner.style.borderRadius = '50%';
-        spinner.style.borderTop = '3px solid #3498db';
-        spinner.style.animation = 'spin 1s linear infinite';
-        loadingDiv.appendChild(spinner);
+        const tbody = document.createElement('tbody');
+        table.appendChild(tbody);
+        modal.body.appendChild(table);
         
-        // Add keyframe animation for spinner
-        const style = document.createElement('style');
-        style.textContent = `
-            @keyframes spin {
-                0% { transform: rotate(0deg); }
-                100% { transform: rotate(360deg); }
+        function render() {
+            const totals = CollectionManager.getSummary();
+            summary.innerHTML = '';
+            
+            if (totals.count === 0) {
+                summary.textContent = 'Your collection is empty. Use "+ Add to my collection" in the panel on a listing to record a slab you bought.';
+                summary.style.color = '#666';
+            } else {
+                summary.style.color = '';
+                const overall = formatGainLoss(totals.gain, totals.gainPercent);
+                
+                const totalsText = document.createElement('span');
+                totalsText.textContent = `${totals.count} ${totals.count === 1 ? 'slab' : 'slabs'} · ` +
+                    `Cost ${CurrencyManager.format(totals.cost, 'USD')} · ` +
+                    `Value ${CurrencyManager.format(totals.value, 'USD')} · `;
+                summary.appendChild(totalsText);
+                
+                const gainText = document.createElement('strong');
+                gainText.textContent = overall.text;
+                gainText.style.color = overall.color;
+                summary.appendChild(gainText);
+                
+                if (totals.unvalued > 0) {
+                    const note = document.createElement('div');
+                    note.textContent = `${totals.unvalued} ${totals.unvalued === 1 ? 'cert has' : 'certs have'} no estimate and ${totals.unvalued === 1 ? 'is' : 'are'} left out of the value and gain/loss.`;
+                    note.style.fontSize = '12px';
+                    note.style.color = '#666';
+                    summary.appendChild(note);
+                }
             }
-        `;
-        document.head.appendChild(style);
+            
+            tbody.innerHTML = '';
+            const items = Object.values(CollectionManager.getAll())
+                .sort((a, b) => (b.purchaseDate || '').localeCompare(a.purchaseDate || ''));
+            
+            for (const item of items) {
+                const grader = getGrader(item.grader);
+                const row = document.createElement('tr');
+                row.style.borderBottom = '1px solid #eee';
+                
+                const cardCell = document.createElement('td');
+                cardCell.style.padding = '5px';
+                if (item.listingUrl) {
+                    const link = document.createElement('a');
+                    link.href = item.listingUrl;
+                    link.target = '_blank';
+                    link.textContent = item.cardName;
+                    link.style.color = '#0654ba';
+                    cardCell.appendChild(link);
+                } else {
+                    cardCell.textContent = item.cardName;
+                }
+                row.appendChild(cardCell);
+                
+                const isStale = CollectionManager.isStale(item);
+                const gain = item.estimate === null ? null : formatGainLoss(item.estimate - item.purchasePrice,
+                    item.purchasePrice ? ((item.estimate - item.purchasePrice) / item.purchasePrice) * 100 : null);
+                const cells = [
+                    grader.id === 'psa' ? item.certNumber : `${grader.name} ${item.certNumber}`,
+                    item.grade,
+                    item.purchaseDate,
+                    CurrencyManager.format(item.purchasePrice, 'USD'),
+                    item.estimate === null ? 'N/A' : CurrencyManager.format(item.estimate, 'USD'),
+                    gain ? gain.text : ''
+                ];
+                cells.forEach((text, index) => {
+                    const cell = document.createElement('td');
+                    cell.textContent = text;
+                    cell.style.padding = '5px';
+                    if (index >= 3) cell.style.textAlign = 'right';
+                    row.appendChild(cell);
+                });
+                
+                const estimateCell = row.children[5];
+                estimateCell.title = `Valued ${new Date(item.valuedAt).toLocaleString()}`;
+                if (isStale) {
+                    estimateCell.style.color = '#999';
+                    estimateCell.title += ' (stale)';
+                }
+                if (gain) {
+                    row.children[6].style.color = gain.color;
+                }
+                
+                const actionCell = document.createElement('td');
+                actionCell.style.padding = '5px';
+                actionCell.style.textAlign = 'right';
+                
+                const removeButton = document.createElement('button');
+                removeButton.textContent = 'Remove';
+                removeButton.style.fontSize = '11px';
+                removeButton.style.cursor = 'pointer';
+                removeButton.addEventListener('click', function() {
+                    if (confirm(`Remove ${item.cardName} from your collection?`)) {
+                        CollectionManager.removeItem(item.certNumber, item.grader);
+                        render();
+                    }
+                });
+                actionCell.appendChild(removeButton);
+                row.appendChild(actionCell);
+                
+                tbody.appendChild(row);
+            }
+        }
         
-        return loadingDiv;
+        render();
+    }
+    
+    /**
+     * Split a cache or history storage key into its cert number and grader
+     * @param {string} key - Storage key
+     * @param {string} prefix - Key prefix (CACHE_CONFIG.keyPrefix or HISTORY_CONFIG.keyPrefix)
+     * @returns {object} certNumber and graderId
+     */
+    function parseStorageKey(key, prefix) {
+        const rest = key.slice(prefix.length);
+        const graderMatch = rest.match(/^([a-z]+)_(.+)$/);
+        if (graderMatch && GRADERS[graderMatch[1]]) {
+            return { certNumber: graderMatch[2], graderId: graderMatch[1] };
+        }
+        return { certNumber: rest, graderId: 'psa' };
+    }
+    
+    /**
+     * Turn rows of values into CSV text
+     * @param {Array<Array>} rows - Rows of cell values, header first
+     * @returns {string} CSV text
+     */
+    function toCSV(rows) {
+        return rows.map(row => row.map(value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n');
+    }
+    
+    /**
+     * Save text to a file through the browser's download prompt
+     * @param {string} filename - Suggested file name
+     * @param {string} content - File contents
+     * @param {string} mimeType - MIME type
+     */
+    function downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    // Helper function to get today's date as YYYY-MM-DD for file names
+    function getDateStamp() {
+        return new Date().toISOString().slice(0, 10);
+    }
+    
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Number of bytes
+     * @returns {string} e.g. "512 B", "3.4 KB" or "1.2 MB"
+     */
+    function formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
     }
 
     function insertPSADataContainer(container) {
         // Find a good location to insert the PSA data
-        // Options in order of preference:
+        // Default order of preference:
         // 1. After the price section
         // 2. After the item condition section
         // 3. At the end of the right summary panel
+        // The panel placement setting moves its choice to the front of the list.
         
         const priceSection = document.querySelector('.x-price-section');
         const itemCondition = document.querySelector('.x-item-condition');
@@ -1961,7 +6027,15 @@
             existingContainer.remove();
         }
         
-        if (priceSection) {
+        const placement = SettingsManager.get('panelPlacement');
+        
+        if (placement === 'afterCondition' && itemCondition) {
+            itemCondition.parentNode.insertBefore(container, itemCondition.nextSibling);
+        } else if (placement === 'rightPanelTop' && rightSummaryPanel) {
+            rightSummaryPanel.insertBefore(container, rightSummaryPanel.firstChild);
+        } else if (placement === 'rightPanelBottom' && rightSummaryPanel) {
+            rightSummaryPanel.appendChild(container);
+        } else if (priceSection) {
             priceSection.parentNode.insertBefore(container, priceSection.nextSibling);
         } else if (itemCondition) {
             itemCondition.parentNode.insertBefore(container, itemCondition.nextSibling);
@@ -1973,7 +6047,9 @@
         }
     }
 
-    function addManualCertEntryButton() {
+    function addManualCertEntryButton(graderId) {
+        const grader = getGrader(graderId);
+        
         // Create a more informative container
         const container = document.createElement('div');
         container.id = 'psa-manual-entry';
@@ -1985,22 +6061,24 @@
         container.style.textAlign = 'center';
         
         // Add PSA logo from hosted image
-        const psaLogo = document.createElement('img');
-        // Use the hosted PSA logo image
-        psaLogo.src = 'https://cconnect.s3.amazonaws.com/wp-content/uploads/2025/08/605205-1024x394.png';
-        psaLogo.alt = 'PSA Logo';
-        psaLogo.style.height = '20px';
-        psaLogo.style.marginBottom = '10px';
-        psaLogo.onerror = function() {
-            // Fallback to original PSA website image if hosted image fails to load
-            console.log('Hosted PSA logo failed to load, using fallback');
-            this.src = 'https://www.psacard.com/images/logo-psa.svg';
-        };
-        container.appendChild(psaLogo);
+        if (grader.id === 'psa') {
+            const psaLogo = document.createElement('img');
+            // Use the hosted PSA logo image
+            psaLogo.src = 'https://cconnect.s3.amazonaws.com/wp-content/uploads/2025/08/605205-1024x394.png';
+            psaLogo.alt = 'PSA Logo';
+            psaLogo.style.height = '20px';
+            psaLogo.style.marginBottom = '10px';
+            psaLogo.onerror = function() {
+                // Fallback to original PSA website image if hosted image fails to load
+                console.log('Hosted PSA logo failed to load, using fallback');
+                this.src = 'https://www.psacard.com/images/logo-psa.svg';
+            };
+            container.appendChild(psaLogo);
+        }
         
         // Add information text
         const infoText = document.createElement('p');
-        infoText.textContent = 'This appears to be a PSA graded item, but the certification number could not be automatically detected.';
+        infoText.textContent = `This appears to be a ${grader.name} graded item, but the certification number could not be automatically detected.`;
         infoText.style.margin = '10px 0';
         infoText.style.fontSize = '14px';
         container.appendChild(infoText);
@@ -2014,7 +6092,7 @@
         
         const inputField = document.createElement('input');
         inputField.type = 'text';
-        inputField.placeholder = 'Enter PSA certification number';
+        inputField.placeholder = `Enter ${grader.name} certification number`;
         inputField.style.padding = '8px 10px';
         inputField.style.border = '1px solid #ccc';
         inputField.style.borderRadius = '3px';
@@ -2053,105 +6131,520 @@
             this.style.backgroundColor = '#0654ba';
         });
         
-        function submitCertNumber() {
-            const certNumber = inputField.value.trim();
-            if (certNumber && /^\d{8,}$/.test(certNumber)) {
-                fetchPSAData(certNumber);
+        function submitCertNumber() {
+            const certNumber = inputField.value.trim();
+            if (certNumber && grader.isLikelyCertNumber(certNumber)) {
+                fetchPSAData(certNumber, grader.id);
+            } else {
+                // Show inline error instead of alert
+                inputField.style.border = '1px solid #d8000c';
+                
+                const errorMsg = document.getElementById('psa-cert-error');
+                if (!errorMsg) {
+                    const newErrorMsg = document.createElement('div');
+                    newErrorMsg.id = 'psa-cert-error';
+                    newErrorMsg.textContent = `Please enter a valid ${grader.name} certification number`;
+                    newErrorMsg.style.color = '#d8000c';
+                    newErrorMsg.style.fontSize = '12px';
+                    newErrorMsg.style.marginTop = '5px';
+                    inputContainer.appendChild(newErrorMsg);
+                }
+            }
+        }
+        
+        button.addEventListener('click', submitCertNumber);
+        
+        inputContainer.appendChild(inputField);
+        inputContainer.appendChild(button);
+        container.appendChild(inputContainer);
+        
+        // Add help text
+        const helpText = document.createElement('p');
+        helpText.textContent = grader.id === 'psa' ?
+            'The PSA certification number is typically 8-10 digits and can be found on the PSA label.' :
+            `The certification number is printed on the ${grader.name} label.`;
+        helpText.style.margin = '10px 0 0 0';
+        helpText.style.fontSize = '12px';
+        helpText.style.color = '#666';
+        container.appendChild(helpText);
+        
+        // Several certs at once (e.g. inventorying a box of slabs) go to the batch tool
+        const batchLink = document.createElement('a');
+        batchLink.href = '#';
+        batchLink.textContent = 'Look up several certs at once...';
+        batchLink.style.display = 'inline-block';
+        batchLink.style.marginTop = '5px';
+        batchLink.style.fontSize = '12px';
+        batchLink.addEventListener('click', function(e) {
+            e.preventDefault();
+            openBatchLookupDialog(grader.id);
+        });
+        container.appendChild(batchLink);
+        
+        insertPSADataContainer(container);
+    }
+
+    /**
+     * Parse a price string in US/UK (1,234.56) or European (1.234,56) format
+     * @param {string} text - Text containing a price
+     * @returns {number} Parsed price, or NaN if no price was found
+     */
+    function parsePriceText(text) {
+        // Handle different currency formats ($1,234.56 or 1.234,56 € etc.)
+        const priceMatch = (text || '').match(/[\d,.]+/);
+        if (!priceMatch) return NaN;
+        
+        // Normalize price string by removing all non-digit characters except the last period or comma
+        const priceStr = priceMatch[0];
+        // Determine if the decimal separator is a period or comma based on the last one in the string
+        const lastPeriodIndex = priceStr.lastIndexOf('.');
+        const lastCommaIndex = priceStr.lastIndexOf(',');
+        
+        if (lastPeriodIndex > lastCommaIndex) {
+            // Format like $1,234.56 (US/UK style)
+            return parseFloat(priceStr.replace(/,/g, ''));
+        } else if (lastCommaIndex > lastPeriodIndex) {
+            // Format like 1.234,56 € (European style)
+            return parseFloat(priceStr.replace(/\./g, '').replace(',', '.'));
+        }
+        
+        // No decimal separator, just parse as is
+        return parseFloat(priceStr);
+    }
+    
+    /**
+     * Parse a US dollar amount the user typed, e.g. "1,200" or "$1,200.50". Unlike
+     * parsePriceText, a comma is only ever a thousands separator, and input that isn't
+     * written as a US number (such as "1.200,50") is rejected rather than guessed at.
+     * @param {string} text - User input
+     * @returns {number} Amount, or NaN if the input isn't a US number
+     */
+    function parseUSDInput(text) {
+        const amount = (text || '').trim().replace(/^(?:US\s*)?\$\s*/i, '');
+        if (!/^(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?$/.test(amount)) return NaN;
+        return Number(amount.replace(/,/g, ''));
+    }
+    
+    /**
+     * Find PSA's estimated value for a grade. Grades must match exactly: 8.5 doesn't use the
+     * 8 row and a qualified 7 OC doesn't use the plain 7 row.
+     * @param {Array} priceData - Price entries from the cert data
+     * @param {string|object} grade - Grade label, or a grade model from parseGrade
+     * @returns {number|null} Estimated value or null if PSA has none for the grade
+     */
+    function findPSAPriceForGrade(priceData, grade) {
+        const gradeKey = (typeof grade === 'string' ? parseGrade(grade) : grade || {}).key;
+        if (!gradeKey) return null;
+        
+        const entry = (priceData || []).find(candidate => candidate.gradeKey === gradeKey);
+        return entry ? entry.value : null;
+    }
+    
+    /**
+     * Work out how far a listing price is from the PSA estimate
+     * @param {number} listingPrice - eBay listing price
+     * @param {number} psaPrice - PSA estimated value
+     * @returns {object} Absolute difference and difference as a percentage of the PSA value
+     */
+    function calculatePriceDifference(listingPrice, psaPrice) {
+        const difference = listingPrice - psaPrice;
+        return {
+            difference: difference,
+            percentDiff: (difference / psaPrice) * 100
+        };
+    }
+
+    /**
+     * Work out what a buyer pays in total. Sales tax is charged on the item and shipping;
+     * import charges are passed through as eBay quotes them.
+     * @param {number} itemPrice - Item price in US dollars
+     * @param {object} charges - shipping, importCharges and taxRate from getListingExtraCharges
+     * @returns {object} Tax amount and landed total in US dollars
+     */
+    function calculateLandedCost(itemPrice, charges) {
+        const taxable = itemPrice + (charges.shipping || 0);
+        const tax = taxable * (charges.taxRate / 100);
+        return {
+            tax: tax,
+            total: taxable + tax + (charges.importCharges || 0)
+        };
+    }
+    
+    /**
+     * Find the highest offer whose landed cost still matches a target value
+     * @param {number} targetTotal - Landed cost to aim for, in US dollars
+     * @param {object} charges - shipping, importCharges and taxRate from getListingExtraCharges
+     * @returns {number} Offer in US dollars (zero or negative if no offer can reach the target)
+     */
+    function calculateMaxOffer(targetTotal, charges) {
+        return (targetTotal - (charges.importCharges || 0)) / (1 + charges.taxRate / 100) - (charges.shipping || 0);
+    }
+
+    /**
+     * Describe how a listing price compares to the PSA estimate
+     * @param {number} difference - Listing price minus PSA value
+     * @param {number} percentDiff - Difference as a percentage of the PSA value
+     * @returns {object} Recommendation text and the color to show it in
+     */
+    function getPriceRecommendation(difference, percentDiff) {
+        const moderateThreshold = SettingsManager.get('moderateThreshold');
+        const significantThreshold = SettingsManager.get('significantThreshold');
+        let text;
+        let color;
+        
+        if (difference > 0) {
+            if (percentDiff > significantThreshold) {
+                text = 'This listing is significantly overpriced compared to PSA estimated value.';
+                color = '#d8000c';
+            } else if (percentDiff > moderateThreshold) {
+                text = 'This listing is moderately overpriced compared to PSA estimated value.';
+                color = '#e68a00';
             } else {
-                // Show inline error instead of alert
-                inputField.style.border = '1px solid #d8000c';
-                
-                const errorMsg = document.getElementById('psa-cert-error');
-                if (!errorMsg) {
-                    const newErrorMsg = document.createElement('div');
-                    newErrorMsg.id = 'psa-cert-error';
-                    newErrorMsg.textContent = 'Please enter a valid PSA certification number (at least 8 digits)';
-                    newErrorMsg.style.color = '#d8000c';
-                    newErrorMsg.style.fontSize = '12px';
-                    newErrorMsg.style.marginTop = '5px';
-                    inputContainer.appendChild(newErrorMsg);
-                }
+                text = 'This listing is slightly higher than PSA estimated value.';
+                color = '#666';
             }
+        } else if (difference < 0) {
+            if (percentDiff < -significantThreshold) {
+                text = 'This listing is significantly underpriced compared to PSA estimated value.';
+                color = '#4F8A10';
+            } else if (percentDiff < -moderateThreshold) {
+                text = 'This listing is moderately underpriced compared to PSA estimated value.';
+                color = '#4F8A10';
+            } else {
+                text = 'This listing is slightly lower than PSA estimated value.';
+                color = '#666';
+            }
+        } else {
+            text = 'This listing matches the PSA estimated value exactly.';
+            color = '#666';
         }
         
-        button.addEventListener('click', submitCertNumber);
-        
-        inputContainer.appendChild(inputField);
-        inputContainer.appendChild(button);
-        container.appendChild(inputContainer);
-        
-        // Add help text
-        const helpText = document.createElement('p');
-        helpText.innerHTML = 'The PSA certification number is typically 8-10 digits and can be found on the PSA label.';
-        helpText.style.margin = '10px 0 0 0';
-        helpText.style.fontSize = '12px';
-        helpText.style.color = '#666';
-        container.appendChild(helpText);
-        
-        insertPSADataContainer(container);
+        return { text: text, color: color };
     }
 
-    function compareWithListingPrice() {
-        // Get the current listing price
-        const priceElement = document.querySelector('.x-price-primary') || 
-                            document.querySelector('[itemprop="price"]') ||
-                            document.querySelector('.price');
+    /**
+     * Read the price and its currency from an eBay listing page
+     * @param {Document} doc - Listing document (default: the current page)
+     * @param {string} hostname - eBay hostname the listing is on (default: the current page's)
+     * @returns {object|null} amount and currency as listed, usdAmount (NaN if there is no
+     *     rate for the currency) and converted, or null if no price could be found
+     */
+    function getListingPriceInfo(doc, hostname) {
+        doc = doc || document;
+        
+        const priceElement = doc.querySelector('.x-price-primary') || 
+                            doc.querySelector('[itemprop="price"]') ||
+                            doc.querySelector('.price');
         if (!priceElement) {
             console.log('Could not find listing price element');
-            return;
+            return null;
         }
         
         const priceText = priceElement.textContent.trim();
-        // Handle different currency formats ($1,234.56 or 1.234,56 € etc.)
-        const priceMatch = priceText.match(/[\d,.]+/);
+        const amount = parsePriceText(priceText);
         
-        if (!priceMatch) {
-            console.log('Could not extract price from text:', priceText);
-            return;
+        if (isNaN(amount)) {
+            console.log('Failed to parse listing price:', priceText);
+            return null;
         }
         
-        // Normalize price string by removing all non-digit characters except the last period or comma
-        let priceStr = priceMatch[0];
-        // Determine if the decimal separator is a period or comma based on the last one in the string
-        const lastPeriodIndex = priceStr.lastIndexOf('.');
-        const lastCommaIndex = priceStr.lastIndexOf(',');
+        const currency = CurrencyManager.detectCurrency(priceText, hostname);
+        if (currency === 'USD') {
+            return { amount: amount, currency: currency, usdAmount: amount, converted: false };
+        }
         
-        let listingPrice;
-        if (lastPeriodIndex > lastCommaIndex) {
-            // Format like $1,234.56 (US/UK style)
-            listingPrice = parseFloat(priceStr.replace(/,/g, ''));
-        } else if (lastCommaIndex > lastPeriodIndex) {
-            // Format like 1.234,56 € (European style)
-            listingPrice = parseFloat(priceStr.replace(/\./g, '').replace(',', '.'));
-        } else {
-            // No decimal separator, just parse as is
-            listingPrice = parseFloat(priceStr);
+        // Prefer eBay's own "approximately US $" conversion over our rate table
+        let usdAmount = NaN;
+        const approxElement = doc.querySelector('.x-price-approx__price');
+        if (approxElement && CurrencyManager.detectCurrency(approxElement.textContent) === 'USD') {
+            usdAmount = parsePriceText(approxElement.textContent);
+            CurrencyManager.learnRate(currency, amount, usdAmount);
+        }
+        if (isNaN(usdAmount)) {
+            usdAmount = CurrencyManager.toUSD(amount, currency);
         }
         
-        if (isNaN(listingPrice)) {
-            console.log('Failed to parse listing price:', priceStr);
-            return;
+        console.log(`Listing price ${CurrencyManager.format(amount, currency)} is about ${CurrencyManager.format(usdAmount, 'USD')}`);
+        return { amount: amount, currency: currency, usdAmount: usdAmount, converted: true };
+    }
+    
+    /**
+     * Read the price from an eBay listing page, in US dollars
+     * @param {Document} doc - Listing document (default: the current page)
+     * @param {string} hostname - eBay hostname the listing is on (default: the current page's)
+     * @returns {number} Listing price in US dollars, or NaN if it could not be found
+     */
+    function getListingPrice(doc, hostname) {
+        const priceInfo = getListingPriceInfo(doc, hostname);
+        return priceInfo ? priceInfo.usdAmount : NaN;
+    }
+
+    /**
+     * Read a shipping or import charge from the listing's item details
+     * @param {Document} doc - Listing document
+     * @param {string} selector - Selector for the charge's value
+     * @param {string} hostname - eBay hostname the listing is on (default: the current page's)
+     * @returns {number|null} Charge in US dollars, 0 if free, or null if not shown or unreadable
+     */
+    function getListingCharge(doc, selector, hostname) {
+        const element = doc.querySelector(selector);
+        if (!element) {
+            return null;
         }
         
-        console.log('Listing price:', listingPrice);
+        const text = element.textContent.trim();
+        if (/\b(free|kostenlos|gratuit|gratis|gratuita)\b/i.test(text)) {
+            return 0;
+        }
         
-        // Get the PSA price data container
-        const psaDataContainer = document.getElementById('psa-data-container');
-        if (!psaDataContainer) {
-            console.log('PSA data container not found');
-            return;
+        // Foreign-currency charges may come with eBay's own conversion: "£5.00 (approx US $6.35)"
+        const approxMatch = text.match(/approx\w*\.?\s*(US\s?\$\s*[\d.,]+)/i);
+        if (approxMatch) {
+            return parsePriceText(approxMatch[1]);
+        }
+        
+        const amount = parsePriceText(text);
+        if (isNaN(amount)) {
+            console.log('Could not read listing charge:', text);
+            return null;
+        }
+        
+        const usdAmount = CurrencyManager.toUSD(amount, CurrencyManager.detectCurrency(text, hostname));
+        return isNaN(usdAmount) ? null : usdAmount;
+    }
+    
+    /**
+     * Read everything a buyer pays on top of the item price
+     * @param {Document} doc - Listing document (default: the current page)
+     * @param {string} hostname - eBay hostname the listing is on (default: the current page's)
+     * @returns {object} shipping and importCharges in US dollars (null if not shown) and the
+     *     sales tax rate from the settings
+     */
+    function getListingExtraCharges(doc, hostname) {
+        doc = doc || document;
+        
+        return {
+            shipping: getListingCharge(doc, '.ux-labels-values--shipping .ux-textspans--BOLD', hostname),
+            importCharges: getListingCharge(doc, '.ux-labels-values--importCharges .ux-textspans--BOLD', hostname),
+            taxRate: SettingsManager.get('salesTaxRate')
+        };
+    }
+    
+    /**
+     * Check whether the listing accepts offers
+     * @param {Document} doc - Listing document (default: the current page)
+     * @returns {boolean} True if a Make Offer button is shown
+     */
+    function isBestOfferListing(doc) {
+        doc = doc || document;
+        
+        if (doc.querySelector('[data-testid="x-offer-action"], .x-offer-action')) {
+            return true;
+        }
+        
+        const buttons = doc.querySelectorAll('.x-buybox a, .x-buybox button');
+        for (const button of buttons) {
+            if (/make offer|preisvorschlag|faire une offre|fai una offerta|hacer oferta/i.test(button.textContent)) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+
+    /**
+     * Read the auction details of a listing
+     * @param {Document} doc - Listing document (default: the current page)
+     * @returns {object|null} bidPrice (as from getListingPriceInfo, null if unreadable),
+     *     bidCount, timeLeftText and endsAt, or null if the listing is not an auction
+     */
+    function getAuctionInfo(doc) {
+        doc = doc || document;
+        
+        const bidSection = doc.querySelector('.x-bid-price, [data-testid="x-bid-price"]');
+        const bidButton = doc.querySelector('#bidBtn_btn, [data-testid="x-bid-action"], .x-bid-action');
+        if (!bidSection && !bidButton) {
+            return null;
+        }
+        
+        // On auctions with Buy It Now the page has two prices; the bid section has the bid
+        const bidPrice = getListingPriceInfo(bidSection || doc);
+        
+        const bidCountElement = doc.querySelector('.x-bid-count, [data-testid="x-bid-count"]');
+        const bidCountMatch = bidCountElement ? bidCountElement.textContent.match(/(\d[\d,.]*)/) : null;
+        
+        const timeElement = doc.querySelector('.x-end-time, [data-testid="x-end-time"], .ux-timer');
+        const timeLeftText = timeElement ? timeElement.textContent.replace(/\s+/g, ' ').trim() : null;
+        const timeLeft = timeLeftText ? parseTimeLeft(timeLeftText) : null;
+        
+        const auction = {
+            bidPrice: bidPrice,
+            bidCount: bidCountMatch ? parseInt(bidCountMatch[1].replace(/[,.]/g, ''), 10) : null,
+            timeLeftText: timeLeftText,
+            endsAt: timeLeft === null ? null : new Date(Date.now() + timeLeft)
+        };
+        console.log('Auction detected:', auction);
+        return auction;
+    }
+    
+    /**
+     * Parse eBay's time left text, e.g. "Ends in 2d 03h" or "4m 12s left"
+     * @param {string} text - Time left text
+     * @returns {number|null} Milliseconds left, or null if the text has no duration
+     */
+    function parseTimeLeft(text) {
+        const units = { d: 24 * 60 * 60 * 1000, h: 60 * 60 * 1000, m: 60 * 1000, s: 1000 };
+        const parts = text.match(/\d+\s*[dhms]\b/gi);
+        if (!parts) {
+            return null;
+        }
+        
+        return parts.reduce((total, part) => {
+            const match = part.match(/(\d+)\s*([dhms])/i);
+            return total + parseInt(match[1], 10) * units[match[2].toLowerCase()];
+        }, 0);
+    }
+    
+    /**
+     * Describe where the current bid stands against the bid ceiling
+     * @param {number} currentBid - Current bid in US dollars
+     * @param {number} bidCeiling - Highest bid worth placing, in US dollars
+     * @param {number} margin - Margin below the estimate the ceiling was set at (%)
+     * @param {object} priceInfo - Bid price from getListingPriceInfo
+     * @returns {object} Verdict text and the color to show it in
+     */
+    function getAuctionVerdict(currentBid, bidCeiling, margin, priceInfo) {
+        if (bidCeiling <= 0) {
+            return {
+                text: 'Shipping and charges alone use up the estimate; this auction is not worth bidding on.',
+                color: '#d8000c'
+            };
+        }
+        if (currentBid >= bidCeiling) {
+            return {
+                text: `The current bid is already past your bid ceiling of ${formatListingAmount(bidCeiling, priceInfo)}.`,
+                color: '#d8000c'
+            };
+        }
+        return {
+            text: `Bid up to ${formatListingAmount(bidCeiling, priceInfo)} to stay ${margin}% under the estimate after shipping and tax.`,
+            color: '#4F8A10'
+        };
+    }
+
+    /**
+     * Fetch an eBay listing and read its current price
+     * @param {string} listingUrl - Listing URL
+     * @param {function} onDone - Called with the price in US dollars, or NaN if it couldn't be read
+     */
+    function fetchListingPrice(listingUrl, onDone) {
+        RequestManager.get(listingUrl, {
+            onLoad: function(response) {
+                const doc = new DOMParser().parseFromString(response.responseText, 'text/html');
+                onDone(getListingPrice(doc, new URL(listingUrl).hostname));
+            },
+            onError: function(error) {
+                console.error('Could not fetch listing', listingUrl, error.type + ':', error.message);
+                onDone(NaN);
+            }
+        });
+    }
+    
+    /**
+     * Show a desktop notification for a watched cert
+     * @param {object} item - Watchlist item
+     * @param {string} message - What changed
+     */
+    function sendWatchlistNotification(item, message) {
+        console.log('Watchlist alert for cert', item.certNumber + ':', message);
+        GM_notification({
+            title: `Watched cert #${item.certNumber}`,
+            text: `${item.cardName}\n${message}`,
+            onclick: function() {
+                window.open(item.listingUrl, '_blank');
+            }
+        });
+    }
+
+    /**
+     * Format a US dollar amount in the listing's currency, with the dollar value alongside
+     * when the listing is in another currency
+     * @param {number} usdAmount - Amount in US dollars
+     * @param {object} priceInfo - Listing price from getListingPriceInfo
+     * @returns {string} Formatted amount, e.g. "£80.00 (≈ $101.60)"
+     */
+    function formatListingAmount(usdAmount, priceInfo) {
+        if (!priceInfo.converted) {
+            return CurrencyManager.format(usdAmount, 'USD');
+        }
+        
+        const listingAmount = usdAmount * (priceInfo.amount / priceInfo.usdAmount);
+        return `${CurrencyManager.format(listingAmount, priceInfo.currency)} (≈ ${CurrencyManager.format(usdAmount, 'USD')})`;
+    }
+    
+    /**
+     * Append a label/value row to the price comparison table
+     * @param {Element} table - Comparison table
+     * @param {string} label - Row label
+     * @param {string} value - Formatted value
+     * @returns {object} The row and its label and value cells
+     */
+    function addComparisonRow(table, label, value) {
+        const row = document.createElement('tr');
+        
+        const labelCell = document.createElement('td');
+        labelCell.textContent = label;
+        labelCell.style.padding = '5px';
+        labelCell.style.textAlign = 'left';
+        row.appendChild(labelCell);
+        
+        const valueCell = document.createElement('td');
+        valueCell.textContent = value;
+        valueCell.style.padding = '5px';
+        valueCell.style.textAlign = 'right';
+        valueCell.style.fontWeight = 'bold';
+        row.appendChild(valueCell);
+        
+        table.appendChild(row);
+        return { row: row, labelCell: labelCell, valueCell: valueCell };
+    }
+    
+    /**
+     * Append a difference row, colored red when over and green when under the estimate
+     * @param {Element} table - Comparison table
+     * @param {string} label - Row label
+     * @param {object} result - difference and percentDiff from calculatePriceDifference
+     */
+    function addDifferenceRow(table, label, result) {
+        const cells = addComparisonRow(table, label,
+            `${CurrencyManager.format(Math.abs(result.difference), 'USD')} (${Math.abs(result.percentDiff).toFixed(1)}%)`);
+        cells.labelCell.style.fontWeight = 'bold';
+        
+        if (result.difference > 0) {
+            cells.valueCell.style.color = '#d8000c';
+        } else if (result.difference < 0) {
+            cells.valueCell.style.color = '#4F8A10';
         }
+    }
+
+    /**
+     * Read the grade the seller states in the item specifics or title
+     * @param {object} grader - Grader definition from GRADERS
+     * @returns {object|null} Grade model from parseGrade, or null if the listing doesn't say
+     */
+    function getListingGrade(grader) {
+        const gradePattern = getGradeTextPattern(grader.name);
         
-        // Try multiple methods to get the current grade
         let currentGrade = null;
         
         // Method 1: Look in item specifics
         const gradeElements = document.querySelectorAll('.ux-labels-values--grade .ux-labels-values__values-content div span');
         for (const element of gradeElements) {
             const text = element.textContent.trim();
-            const gradeMatch = text.match(/PSA\s+(\d+)/i) || text.match(/(\d+)/);
-            if (gradeMatch && gradeMatch[1]) {
-                currentGrade = gradeMatch[1];
+            const gradeMatch = text.match(gradePattern);
+            const grade = parseGrade(gradeMatch ? gradeMatch[1] : text);
+            if (grade.key) {
+                currentGrade = grade;
                 break;
             }
         }
@@ -2160,11 +6653,11 @@
         if (!currentGrade) {
             const textSpans = document.querySelectorAll('.ux-textspans');
             for (const element of textSpans) {
-                if (element.textContent.includes('Graded - PSA') || element.textContent.includes('PSA')) {
+                if (element.textContent.includes(grader.name)) {
                     const text = element.textContent.trim();
-                    const gradeMatch = text.match(/PSA\s+(\d+)/i);
+                    const gradeMatch = text.match(gradePattern);
                     if (gradeMatch && gradeMatch[1]) {
-                        currentGrade = gradeMatch[1];
+                        currentGrade = parseGrade(gradeMatch[1]);
                         break;
                     }
                 }
@@ -2176,71 +6669,241 @@
             const titleElement = document.querySelector('.x-item-title__mainTitle span');
             if (titleElement) {
                 const titleText = titleElement.textContent;
-                const gradeMatch = titleText.match(/PSA\s+(\d+)/i);
+                const gradeMatch = titleText.match(gradePattern);
                 if (gradeMatch && gradeMatch[1]) {
-                    currentGrade = gradeMatch[1];
+                    currentGrade = parseGrade(gradeMatch[1]);
                 }
             }
         }
         
-        // Method 4: Extract from PSA data container if we already have the grade
-        if (!currentGrade) {
-            const gradeText = psaDataContainer.textContent;
-            const gradeMatch = gradeText.match(/Grade:\s*PSA\s+(\d+)/i) || 
-                              gradeText.match(/Grade:\s*(\d+)/i);
-            if (gradeMatch && gradeMatch[1]) {
-                currentGrade = gradeMatch[1];
+        return currentGrade;
+    }
+    
+    /**
+     * Read year, set, card number and player from the listing's item specifics
+     * @returns {object} Attributes found (any may be missing) and the listing title
+     */
+    function getListingAttributes() {
+        const specifics = {};
+        document.querySelectorAll('.ux-labels-values').forEach(row => {
+            const label = row.querySelector('.ux-labels-values__labels');
+            const value = row.querySelector('.ux-labels-values__values');
+            if (label && value) {
+                const key = label.textContent.replace(/[:\s]+$/, '').trim().toLowerCase();
+                specifics[key] = value.textContent.replace(/\s+/g, ' ').trim();
+            }
+        });
+        
+        const titleElement = document.querySelector('.x-item-title__mainTitle span') || document.querySelector('h1');
+        return {
+            attributes: pickCardAttributes(specifics),
+            title: titleElement ? titleElement.textContent.trim() : ''
+        };
+    }
+    
+    /**
+     * Lowercase a card attribute and strip accents and punctuation so "Acuña Jr." and
+     * "ACUNA JR" compare equal
+     * @param {string} text - Attribute text
+     * @returns {string} Normalized text
+     */
+    function normalizeCardText(text) {
+        return (text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+    
+    /**
+     * Normalize a card number for comparison: "#007", "No. 7" and "7" are the same card,
+     * as are "US-0250" and "US250"
+     * @param {string} cardNumber - Card number text
+     * @returns {string} Normalized card number
+     */
+    function normalizeCardNumber(cardNumber) {
+        return (cardNumber || '')
+            .toUpperCase()
+            .replace(/^(#|NO\.?)\s*/, '')
+            .replace(/[^A-Z0-9]/g, '')
+            .replace(/(^|[A-Z])0+(?=\d)/, '$1');
+    }
+    
+    /**
+     * Compare the listing's grade, year, player, card number and set with the grader's
+     * record of the cert. Attributes the listing doesn't state are not checked, and name-like
+     * fields only mismatch when they share no words, so abbreviated titles don't trip it.
+     * @param {object} psaData - Cert data being displayed
+     * @returns {Array} Mismatches ({ field, listing, cert }); listing is null when the
+     *     listing title simply doesn't mention the cert's value
+     */
+    function checkListingConsistency(psaData) {
+        const grader = getGrader(psaData.grader);
+        const certAttributes = Object.assign({}, parseCardNameAttributes(psaData.cardName), psaData.attributes);
+        const listing = getListingAttributes();
+        const listingAttributes = listing.attributes;
+        const mismatches = [];
+        
+        // Grade
+        const listingGrade = getListingGrade(grader);
+        const certGrade = parseGrade(psaData.grade);
+        if (listingGrade && certGrade.key && !isSameGrade(listingGrade, certGrade)) {
+            mismatches.push({ field: 'Grade', listing: formatGrade(listingGrade, grader.name), cert: psaData.grade });
+        }
+        
+        // Year: item specifics if given, otherwise any year in the title
+        const certYearMatch = (certAttributes.year || '').match(/\d{4}/);
+        if (certYearMatch) {
+            const certYear = certYearMatch[0];
+            const listingYears = listingAttributes.year ?
+                (listingAttributes.year.match(/\d{4}/) || []) :
+                (listing.title.match(/\b(19|20)\d{2}\b/g) || []);
+            if (listingYears.length > 0 && !listingYears.includes(certYear)) {
+                mismatches.push({ field: 'Year', listing: listingYears.join(', '), cert: certAttributes.year });
             }
         }
         
-        if (!currentGrade) {
+        // Player/subject and set: mismatch only if none of the record's words appear
+        const wordCheck = [
+            { field: 'Player', cert: certAttributes.player, listing: listingAttributes.player },
+            { field: 'Set', cert: certAttributes.set, listing: listingAttributes.set }
+        ];
+        for (const check of wordCheck) {
+            if (!check.cert) continue;
+            
+            const listingText = ' ' + normalizeCardText(check.listing || listing.title) + ' ';
+            const certWords = normalizeCardText(check.cert).split(' ')
+                .filter(word => word.length >= 3 && !/^\d+$/.test(word));
+            if (certWords.length > 0 && !certWords.some(word => listingText.includes(' ' + word + ' '))) {
+                mismatches.push({ field: check.field, listing: check.listing || null, cert: check.cert });
+            }
+        }
+        
+        // Card number: item specifics if given, otherwise "#123" style numbers in the title
+        if (certAttributes.cardNumber) {
+            const certNumber = normalizeCardNumber(certAttributes.cardNumber);
+            const listingNumbers = listingAttributes.cardNumber ?
+                [listingAttributes.cardNumber] :
+                (listing.title.match(/#\s?[A-Za-z0-9-]+/g) || []);
+            if (listingNumbers.length > 0 && !listingNumbers.some(number => normalizeCardNumber(number) === certNumber)) {
+                mismatches.push({ field: 'Card Number', listing: listingNumbers.join(', '), cert: certAttributes.cardNumber });
+            }
+        }
+        
+        if (mismatches.length > 0) {
+            console.warn('Listing does not match the cert record:', mismatches);
+        }
+        return mismatches;
+    }
+    
+    /**
+     * Create the warning shown at the top of the panel when the listing and the cert disagree
+     * @param {Array} mismatches - Mismatches from checkListingConsistency
+     * @param {object} grader - Grader definition from GRADERS
+     * @returns {Element} Warning box
+     */
+    function createConsistencyWarning(mismatches, grader) {
+        const warning = document.createElement('div');
+        warning.className = 'psa-consistency-warning';
+        warning.style.border = '2px solid #d8000c';
+        warning.style.borderRadius = '4px';
+        warning.style.padding = '10px';
+        warning.style.marginBottom = '10px';
+        warning.style.backgroundColor = '#fff0f0';
+        warning.style.color = '#d8000c';
+        
+        const warningTitle = document.createElement('div');
+        warningTitle.textContent = `⚠ This listing doesn't match the ${grader.name} cert`;
+        warningTitle.style.fontWeight = 'bold';
+        warningTitle.style.fontSize = '15px';
+        warningTitle.style.marginBottom = '5px';
+        warning.appendChild(warningTitle);
+        
+        mismatches.forEach(mismatch => {
+            const line = document.createElement('div');
+            line.textContent = mismatch.listing === null ?
+                `${mismatch.field}: cert says "${mismatch.cert}", which the listing title doesn't mention` :
+                `${mismatch.field}: listing says "${mismatch.listing}", cert says "${mismatch.cert}"`;
+            line.style.fontSize = '13px';
+            warning.appendChild(line);
+        });
+        
+        const hint = document.createElement('div');
+        hint.textContent = 'The slab pictured may not be the card being sold. Ask the seller before buying.';
+        hint.style.marginTop = '5px';
+        hint.style.fontSize = '12px';
+        hint.style.color = '#666';
+        warning.appendChild(hint);
+        
+        return warning;
+    }
+    
+    function compareWithListingPrice(psaData) {
+        const grader = getGrader(psaData.grader);
+        
+        // Get the PSA price data container
+        const psaDataContainer = document.getElementById('psa-data-container');
+        if (!psaDataContainer) {
+            console.log('PSA data container not found');
+            return;
+        }
+        
+        // Get the current grade from the listing, falling back to the grade the grader
+        // reported for the cert. The cert's grade also wins when it's the listing's grade
+        // plus a qualifier the listing couldn't state.
+        const certGrade = parseGrade(psaData.grade);
+        let currentGrade = getListingGrade(grader);
+        if (!currentGrade || (certGrade.key && isSameGrade(currentGrade, certGrade))) {
+            currentGrade = certGrade;
+        }
+        
+        if (!currentGrade.key) {
             console.log('Could not determine card grade');
             return;
         }
         
-        console.log('Current grade:', currentGrade);
+        console.log('Current grade:', currentGrade.key);
         
-        // Find the PSA price for the current grade
-        const priceRows = psaDataContainer.querySelectorAll('table tr');
-        let psaPrice = null;
+        // Find the estimated price for the current grade
+        const psaPrice = findPSAPriceForGrade(psaData.priceData, currentGrade);
         
-        for (const row of priceRows) {
-            const cells = row.querySelectorAll('td, th');
-            if (cells.length < 2) continue;
-            
-            const gradeCell = cells[0];
-            const priceCell = cells[1];
-            
-            if (gradeCell.textContent.includes(currentGrade)) {
-                const priceCellText = priceCell.textContent.trim();
-                // Handle different currency formats
-                const psaPriceMatch = priceCellText.match(/[\d,.]+/);
-                
-                if (psaPriceMatch) {
-                    // Apply the same parsing logic as for the listing price
-                    const priceStr = psaPriceMatch[0];
-                    const lastPeriodIndex = priceStr.lastIndexOf('.');
-                    const lastCommaIndex = priceStr.lastIndexOf(',');
-                    
-                    if (lastPeriodIndex > lastCommaIndex) {
-                        psaPrice = parseFloat(priceStr.replace(/,/g, ''));
-                    } else if (lastCommaIndex > lastPeriodIndex) {
-                        psaPrice = parseFloat(priceStr.replace(/\./g, '').replace(',', '.'));
-                    } else {
-                        psaPrice = parseFloat(priceStr);
-                    }
-                    
-                    break;
-                }
-            }
+        if (psaPrice === null) {
+            console.log('Could not determine PSA price for grade', currentGrade.key);
+            return;
         }
         
-        if (psaPrice === null || isNaN(psaPrice)) {
-            console.log('Could not determine PSA price for grade', currentGrade);
+        console.log('PSA price for grade', currentGrade.key, ':', psaPrice);
+        
+        appendPriceComparison(psaDataContainer, psaPrice,
+            `${grader.name} Estimated Value (${formatGrade(currentGrade, grader.name)}):`, grader);
+    }
+    
+    /**
+     * Add the price comparison section: listing price or current bid, charges, landed cost
+     * and the estimate, followed by difference rows and a verdict (a bid ceiling on auctions)
+     * @param {Element} psaDataContainer - Panel to add the section to
+     * @param {number} psaPrice - Estimated value to compare against, in US dollars
+     * @param {string} estimateLabel - Label for the estimate row
+     * @param {object} grader - Grader definition from GRADERS
+     */
+    function appendPriceComparison(psaDataContainer, psaPrice, estimateLabel, grader) {
+        // Get the current listing price; on auctions that's the current bid
+        const auction = getAuctionInfo();
+        const priceInfo = auction ? auction.bidPrice : getListingPriceInfo();
+        if (!priceInfo) {
+            return;
+        }
+        if (isNaN(priceInfo.usdAmount)) {
+            console.log('No exchange rate for listing currency', priceInfo.currency);
             return;
         }
+        const listingPrice = priceInfo.usdAmount;
         
-        console.log('PSA price for grade', currentGrade, ':', psaPrice);
+        console.log('Listing price (USD):', listingPrice);
+        
+        const extraCharges = getListingExtraCharges();
+        console.log('Extra charges (USD):', extraCharges);
         
         // Create price comparison section
         const comparisonSection = document.createElement('div');
@@ -2263,40 +6926,38 @@
         comparisonTable.style.borderCollapse = 'collapse';
         
         // eBay price row
-        const ebayRow = document.createElement('tr');
-        
-        const ebayLabelCell = document.createElement('td');
-        ebayLabelCell.textContent = 'eBay Listing Price:';
-        ebayLabelCell.style.padding = '5px';
-        ebayLabelCell.style.textAlign = 'left';
-        ebayRow.appendChild(ebayLabelCell);
+        addComparisonRow(comparisonTable, auction ? 'Current Bid:' : 'eBay Listing Price:', formatListingAmount(listingPrice, priceInfo));
         
-        const ebayPriceCell = document.createElement('td');
-        ebayPriceCell.textContent = `$${listingPrice.toFixed(2)}`;
-        ebayPriceCell.style.padding = '5px';
-        ebayPriceCell.style.textAlign = 'right';
-        ebayPriceCell.style.fontWeight = 'bold';
-        ebayRow.appendChild(ebayPriceCell);
+        if (auction) {
+            addComparisonRow(comparisonTable, 'Bids:', auction.bidCount === null ? 'Not shown' : String(auction.bidCount));
+            addComparisonRow(comparisonTable, 'Time Left:', auction.endsAt ?
+                `${auction.timeLeftText} (ends ${auction.endsAt.toLocaleString()})` :
+                (auction.timeLeftText || 'Not shown'));
+        }
         
-        comparisonTable.appendChild(ebayRow);
+        // Extra charges that make up what the buyer actually pays
+        const landed = calculateLandedCost(listingPrice, extraCharges);
         
-        // PSA price row
-        const psaRow = document.createElement('tr');
+        let shippingText = 'Not shown';
+        if (extraCharges.shipping === 0) {
+            shippingText = 'Free';
+        } else if (extraCharges.shipping !== null) {
+            shippingText = CurrencyManager.format(extraCharges.shipping, 'USD');
+        }
+        addComparisonRow(comparisonTable, 'Shipping:', shippingText);
         
-        const psaLabelCell = document.createElement('td');
-        psaLabelCell.textContent = `PSA Estimated Value (Grade ${currentGrade}):`;
-        psaLabelCell.style.padding = '5px';
-        psaLabelCell.style.textAlign = 'left';
-        psaRow.appendChild(psaLabelCell);
+        if (extraCharges.importCharges) {
+            addComparisonRow(comparisonTable, 'Import Charges:', CurrencyManager.format(extraCharges.importCharges, 'USD'));
+        }
+        if (extraCharges.taxRate > 0) {
+            addComparisonRow(comparisonTable, `Sales Tax (${extraCharges.taxRate}%):`, CurrencyManager.format(landed.tax, 'USD'));
+        }
         
-        const psaPriceCell = document.createElement('td');
-        psaPriceCell.textContent = `$${psaPrice.toFixed(2)}`;
-        psaPriceCell.style.padding = '5px';
-        psaPriceCell.style.textAlign = 'right';
-        psaPriceCell.style.fontWeight = 'bold';
-        psaRow.appendChild(psaPriceCell);
+        const landedRow = addComparisonRow(comparisonTable, 'Landed Cost:', CurrencyManager.format(landed.total, 'USD'));
+        landedRow.labelCell.style.fontWeight = 'bold';
         
-        comparisonTable.appendChild(psaRow);
+        // PSA price row
+        addComparisonRow(comparisonTable, estimateLabel, CurrencyManager.format(psaPrice, 'USD'));
         
         // Add separator row
         const separatorRow = document.createElement('tr');
@@ -2307,71 +6968,80 @@
         separatorRow.appendChild(separatorCell);
         comparisonTable.appendChild(separatorRow);
         
-        // Difference row
-        const difference = listingPrice - psaPrice;
-        const percentDiff = (difference / psaPrice) * 100;
-        
-        const differenceRow = document.createElement('tr');
-        
-        const differenceLabelCell = document.createElement('td');
-        differenceLabelCell.textContent = 'Difference:';
-        differenceLabelCell.style.padding = '5px';
-        differenceLabelCell.style.textAlign = 'left';
-        differenceLabelCell.style.fontWeight = 'bold';
-        differenceRow.appendChild(differenceLabelCell);
-        
-        const differenceValueCell = document.createElement('td');
-        differenceValueCell.textContent = `$${Math.abs(difference).toFixed(2)} (${Math.abs(percentDiff).toFixed(1)}%)`;
-        differenceValueCell.style.padding = '5px';
-        differenceValueCell.style.textAlign = 'right';
-        differenceValueCell.style.fontWeight = 'bold';
-        
-        if (difference > 0) {
-            differenceValueCell.style.color = '#d8000c';
-        } else if (difference < 0) {
-            differenceValueCell.style.color = '#4F8A10';
+        // A current bid says little about the final price, so auctions get a bid ceiling
+        // instead of difference rows and an over/underpriced verdict
+        if (auction) {
+            const margin = SettingsManager.get('auctionBidMargin');
+            const bidCeiling = calculateMaxOffer(psaPrice * (1 - margin / 100), extraCharges);
+            
+            addComparisonRow(comparisonTable, `Bid Ceiling (${margin}% below estimate):`,
+                bidCeiling > 0 ? formatListingAmount(bidCeiling, priceInfo) : 'None');
+            comparisonSection.appendChild(comparisonTable);
+            
+            const verdict = getAuctionVerdict(listingPrice, bidCeiling, margin, priceInfo);
+            const verdictDiv = document.createElement('div');
+            verdictDiv.style.marginTop = '10px';
+            verdictDiv.style.fontSize = '14px';
+            verdictDiv.textContent = verdict.text;
+            verdictDiv.style.color = verdict.color;
+            comparisonSection.appendChild(verdictDiv);
+            
+            appendComparisonDisclaimer(comparisonSection);
+            psaDataContainer.appendChild(comparisonSection);
+            return;
         }
         
-        differenceRow.appendChild(differenceValueCell);
-        comparisonTable.appendChild(differenceRow);
+        // Difference rows, for the item price alone and for everything the buyer pays
+        const itemDifference = calculatePriceDifference(listingPrice, psaPrice);
+        const landedDifference = calculatePriceDifference(landed.total, psaPrice);
+        addDifferenceRow(comparisonTable, 'Difference (item price):', itemDifference);
+        addDifferenceRow(comparisonTable, 'Difference (landed cost):', landedDifference);
         
         comparisonSection.appendChild(comparisonTable);
         
+        // On Best Offer listings, work back from the estimate to the highest sensible offer
+        if (isBestOfferListing()) {
+            const offerDiv = document.createElement('div');
+            offerDiv.style.marginTop = '10px';
+            offerDiv.style.fontSize = '14px';
+            offerDiv.style.fontWeight = 'bold';
+            
+            const maxOffer = calculateMaxOffer(psaPrice, extraCharges);
+            if (maxOffer <= 0) {
+                offerDiv.textContent = `Shipping and charges alone exceed the ${grader.name} estimate; no offer reaches fair value.`;
+                offerDiv.style.color = '#d8000c';
+            } else {
+                // Offers are made in the listing's currency
+                offerDiv.textContent = `Max offer to hit fair value: ${formatListingAmount(maxOffer, priceInfo)}`;
+                offerDiv.style.color = '#0654ba';
+            }
+            
+            comparisonSection.appendChild(offerDiv);
+        }
+        
         // Add recommendation text
         const recommendationDiv = document.createElement('div');
         recommendationDiv.style.marginTop = '10px';
         recommendationDiv.style.fontSize = '14px';
         
-        if (difference > 0) {
-            if (percentDiff > 20) {
-                recommendationDiv.textContent = 'This listing is significantly overpriced compared to PSA estimated value.';
-                recommendationDiv.style.color = '#d8000c';
-            } else if (percentDiff > 5) {
-                recommendationDiv.textContent = 'This listing is moderately overpriced compared to PSA estimated value.';
-                recommendationDiv.style.color = '#e68a00';
-            } else {
-                recommendationDiv.textContent = 'This listing is slightly higher than PSA estimated value.';
-                recommendationDiv.style.color = '#666';
-            }
-        } else if (difference < 0) {
-            if (percentDiff < -20) {
-                recommendationDiv.textContent = 'This listing is significantly underpriced compared to PSA estimated value.';
-                recommendationDiv.style.color = '#4F8A10';
-            } else if (percentDiff < -5) {
-                recommendationDiv.textContent = 'This listing is moderately underpriced compared to PSA estimated value.';
-                recommendationDiv.style.color = '#4F8A10';
-            } else {
-                recommendationDiv.textContent = 'This listing is slightly lower than PSA estimated value.';
-                recommendationDiv.style.color = '#666';
-            }
-        } else {
-            recommendationDiv.textContent = 'This listing matches the PSA estimated value exactly.';
-            recommendationDiv.style.color = '#666';
-        }
+        // Judge the listing by what it would actually cost to have the card in hand
+        const recommendation = getPriceRecommendation(landedDifference.difference, landedDifference.percentDiff);
+        recommendationDiv.textContent = recommendation.text;
+        recommendationDiv.style.color = recommendation.color;
         
         comparisonSection.appendChild(recommendationDiv);
         
-        // Add disclaimer
+        appendComparisonDisclaimer(comparisonSection);
+        
+        // Add the comparison section to the PSA data container
+        psaDataContainer.appendChild(comparisonSection);
+    }
+    
+    /**
+     * Add the "values are estimates" note to the bottom of the comparison section
+     * @param {Element} comparisonSection - Price comparison section
+     */
+    function appendComparisonDisclaimer(comparisonSection) {
         const disclaimerDiv = document.createElement('div');
         disclaimerDiv.textContent = 'Note: PSA values are estimates based on recent sales data and may vary.';
         disclaimerDiv.style.marginTop = '10px';
@@ -2379,8 +7049,139 @@
         disclaimerDiv.style.fontStyle = 'italic';
         disclaimerDiv.style.color = '#666';
         comparisonSection.appendChild(disclaimerDiv);
+    }
+
+    function isSearchResultsPage() {
+        // Search results (/sch/) and category browse (/b/) pages list many items
+        return /^\/(sch|b)\//.test(window.location.pathname);
+    }
+    
+    function initSearchResults() {
+        const resultCards = document.querySelectorAll(SEARCH_CONFIG.resultSelector);
+        console.log('Search results page detected. Result cards found:', resultCards.length);
         
-        // Add the comparison section to the PSA data container
-        psaDataContainer.appendChild(comparisonSection);
+        let annotatedCount = 0;
+        
+        for (const card of resultCards) {
+            // Skip cards we have already annotated
+            if (card.dataset.psaProcessed) continue;
+            card.dataset.psaProcessed = 'true';
+            
+            const titleElement = card.querySelector('.s-item__title, .s-card__title');
+            if (!titleElement) continue;
+            
+            const grader = detectGraderInText(titleElement.textContent);
+            if (!grader) continue;
+            
+            const certNumber = extractCertNumberFromResultCard(card, titleElement.textContent, grader);
+            if (!certNumber) continue;
+            
+            // Put the badge after the title link so clicking it doesn't open the listing
+            const titleAnchor = titleElement.closest('a') || titleElement;
+            const badge = createSearchResultBadge(grader);
+            titleAnchor.parentNode.insertBefore(badge, titleAnchor.nextSibling);
+            annotatedCount++;
+            
+            PSARequestQueue.enqueue(certNumber, {
+                onLoad: function(psaData) {
+                    fillSearchResultBadge(badge, card, psaData);
+                },
+                onError: function(error) {
+                    badge.textContent = error.type === FETCH_ERRORS.NOT_FOUND ?
+                        `${grader.name}: cert not found` : `${grader.name}: lookup failed`;
+                    badge.title = getFetchErrorMessage(error);
+                    badge.style.color = '#d8000c';
+                    badge.style.backgroundColor = '#fff0f0';
+                }
+            }, grader.id);
+        }
+        
+        console.log('Annotating', annotatedCount, 'graded search results');
+    }
+    
+    /**
+     * Find a cert number in a search result's title or item data
+     * @param {Element} card - Search result card element
+     * @param {string} titleText - Result title text
+     * @param {object} grader - Grader definition from GRADERS
+     * @returns {string|null} Cert number or null if none was found
+     */
+    function extractCertNumberFromResultCard(card, titleText, grader) {
+        // Method 1: Explicit cert patterns in the title
+        const certNumber = extractCertNumberFromText(titleText, grader);
+        if (certNumber) {
+            return certNumber;
+        }
+        
+        // Method 2: PSA::PSACERT:: ids in the card's data attributes
+        if (grader.id === 'psa') {
+            const psaMatch = card.outerHTML.match(/PSA::PSACERT::(\d+)/i);
+            if (psaMatch && psaMatch[1] && isLikelyPSACertNumber(psaMatch[1])) {
+                return psaMatch[1];
+            }
+        }
+        
+        // Method 3: A standalone 7-10 digit number in the title
+        const numberMatch = titleText.match(/(?:^|[^\d])(\d{7,10})(?![\d])/);
+        if (numberMatch && numberMatch[1] && grader.isLikelyCertNumber(numberMatch[1])) {
+            return numberMatch[1];
+        }
+        
+        return null;
+    }
+    
+    function createSearchResultBadge(grader) {
+        const badge = document.createElement('div');
+        badge.className = 'psa-search-badge';
+        badge.textContent = `${grader.name}: loading...`;
+        badge.style.display = 'inline-block';
+        badge.style.margin = '4px 0';
+        badge.style.padding = '2px 6px';
+        badge.style.fontSize = '12px';
+        badge.style.border = '1px solid #e5e5e5';
+        badge.style.borderRadius = '3px';
+        badge.style.backgroundColor = '#f8f8f8';
+        badge.style.color = '#666';
+        return badge;
+    }
+    
+    function fillSearchResultBadge(badge, card, psaData) {
+        const grade = parseGrade(psaData.grade);
+        
+        const grader = getGrader(psaData.grader);
+        const parts = [formatGrade(grade, grader.name) || psaData.grade];
+        badge.title = `${psaData.cardName} (Cert #${psaData.certNumber})`;
+        badge.style.color = '#333';
+        
+        const psaPrice = findPSAPriceForGrade(psaData.priceData, grade);
+        if (psaPrice === null) {
+            parts.push(`No ${grader.name} estimate`);
+            badge.textContent = parts.join(' · ');
+            return;
+        }
+        
+        parts.push(`Est. ${CurrencyManager.format(psaPrice, 'USD')}`);
+        
+        // Auction prices are just the current bid, so show the bid ceiling instead
+        const bidsElement = card.querySelector('.s-item__bids, .s-item__bidCount');
+        if (bidsElement || /\b\d+\s+bids?\b/i.test(card.textContent)) {
+            const margin = SettingsManager.get('auctionBidMargin');
+            parts.push(`Auction, bid up to ${CurrencyManager.format(psaPrice * (1 - margin / 100), 'USD')}`);
+            badge.textContent = parts.join(' · ');
+            return;
+        }
+        
+        // Compare against the result's price when it has one
+        const priceElement = card.querySelector('.s-item__price, .s-card__price');
+        const listingPrice = priceElement ?
+            CurrencyManager.toUSD(parsePriceText(priceElement.textContent), CurrencyManager.detectCurrency(priceElement.textContent)) :
+            NaN;
+        if (!isNaN(listingPrice)) {
+            const { difference, percentDiff } = calculatePriceDifference(listingPrice, psaPrice);
+            parts.push(`${Math.abs(percentDiff).toFixed(1)}% ${difference > 0 ? 'over' : 'under'}`);
+            badge.style.color = getPriceRecommendation(difference, percentDiff).color;
+        }
+        
+        badge.textContent = parts.join(' · ');
     }
 })();
\ No newline at end of file
@@ -0,0 +1,19 @@
+// Checks how prices typed into the watchlist and collection prompts are read. Run with `npm test`.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseUSDInput } = require('../psa_certification.user.js');
+
+test('commas in typed prices are thousands separators', () => {
+    assert.equal(parseUSDInput('1,200'), 1200);
+    assert.equal(parseUSDInput('$1,200.50'), 1200.5);
+    assert.equal(parseUSDInput('US $12,500'), 12500);
+    assert.equal(parseUSDInput(' 1200.5 '), 1200.5);
+    assert.equal(parseUSDInput('45'), 45);
+});
+
+test('prices that could be read two ways are rejected', () => {
+    ['1.200,50', '12,00', '1,2,00', 'abc', ''].forEach(input => {
+        assert.ok(Number.isNaN(parseUSDInput(input)), input);
+    });
+});
@@ -0,0 +1,153 @@
+// Runs the saved cert page fixtures through PSAParser. Run with `npm test`.
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const {
+    PSAParser,
+    parseGrade,
+    hasMeaningfulCertData,
+    getPopulationStats,
+    isLowConfidencePopEntry
+} = require('../psa_certification.user.js');
+
+// The parser logs a summary line per cert
+mock.method(console, 'log', () => {});
+
+function parseHTML(html, certNumber) {
+    return PSAParser.parseDocument(new JSDOM(html).window.document, certNumber);
+}
+
+function parseFixture(name, certNumber) {
+    return parseHTML(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'), certNumber);
+}
+
+// Grade entries as [label, value, source] for compact comparisons
+function summarize(entries) {
+    return entries.map(entry => [entry.label, entry.value, entry.source]);
+}
+
+test('current cert page layout', () => {
+    const psaData = parseFixture('psa-cert-current.html', '12345678');
+
+    assert.equal(psaData.certNumber, '12345678');
+    assert.equal(psaData.cardName, '2018 TOPPS UPDATE #US250 SHOHEI OHTANI');
+    assert.equal(psaData.grade, 'GEM MT 10');
+    assert.equal(psaData.gradeInfo.key, '10');
+    assert.deepEqual(psaData.attributes, { year: '2018', set: 'TOPPS UPDATE', cardNumber: 'US250', player: 'SHOHEI OHTANI' });
+    assert.deepEqual(summarize(psaData.priceData), [
+        ['PSA 8', 45, 'priceTable'],
+        ['PSA 9', 90, 'priceTable'],
+        ['PSA 10', 1250, 'priceTable']
+    ]);
+    assert.ok(psaData.priceData.every(entry => entry.currency === 'USD'));
+    assert.deepEqual(summarize(psaData.popData), [['PSA 10', 4521, 'popLink']]);
+
+    assert.equal(psaData.parseInfo.parserVersion, PSAParser.version);
+    assert.deepEqual(psaData.parseInfo.fields.grade, { strategy: 'gradeSelector', confidence: 0.9 });
+    assert.deepEqual(psaData.parseInfo.fields.priceData, { strategy: 'priceTable', confidence: 0.9 });
+    assert.deepEqual(psaData.parseInfo.fields.popData, { strategy: 'popLink', confidence: 0.9 });
+    assert.deepEqual(psaData.parseInfo.fields.cardName, { strategy: 'displayText', confidence: 0.8 });
+    assert.deepEqual(psaData.parseInfo.fields.cardDetails, { strategy: null, confidence: 0 });
+
+    assert.equal(hasMeaningfulCertData(psaData), true);
+    assert.equal(isLowConfidencePopEntry(psaData.popData[0], psaData), false);
+});
+
+test('older table cert page layout', () => {
+    const psaData = parseFixture('psa-cert-legacy.html', '87654321');
+
+    assert.equal(psaData.cardName, '1986 FLEER #57 MICHAEL JORDAN');
+    assert.equal(psaData.grade, 'NM-MT 8');
+    assert.deepEqual(psaData.attributes, { year: '1986', set: 'FLEER', cardNumber: '57', player: 'MICHAEL JORDAN' });
+
+    // A lone price is filed under the cert's own grade
+    assert.deepEqual(summarize(psaData.priceData), [['PSA 8', 12500, 'priceElement']]);
+    assert.deepEqual(summarize(psaData.popData), [
+        ['PSA 7', 5480, 'popSection'],
+        ['PSA 8', 7012, 'popSection'],
+        ['PSA 9', 1240, 'popSection'],
+        ['PSA 10', 318, 'popSection'],
+        ['Total', 14050, 'popSection']
+    ]);
+
+    assert.deepEqual(psaData.parseInfo.fields.cardName, { strategy: 'certHeading', confidence: 0.9 });
+    assert.deepEqual(psaData.parseInfo.fields.cardDetails, { strategy: 'detailsSection', confidence: 0.8 });
+    assert.deepEqual(psaData.parseInfo.fields.priceData, { strategy: 'priceElement', confidence: 0.6 });
+    assert.deepEqual(psaData.parseInfo.fields.popData, { strategy: 'popSection', confidence: 0.6 });
+
+    const stats = getPopulationStats(psaData.popData, parseGrade(psaData.grade));
+    assert.equal(stats.atGrade, 7012);
+    assert.equal(stats.higher, 1240 + 318);
+    assert.equal(stats.total, 14050);
+    assert.equal(stats.scarcityPercentile.toFixed(1), '39.0');
+    assert.ok(psaData.popData.every(entry => !isLowConfidencePopEntry(entry, psaData)));
+});
+
+test('redesigned page only matched by fallback strategies is not used', () => {
+    const psaData = parseFixture('psa-cert-redesigned.html', '12345678');
+
+    assert.equal(psaData.cardName, 'Unknown Card');
+    assert.equal(psaData.grade, 'PSA 10');
+    assert.deepEqual(summarize(psaData.priceData), [['PSA 10', 1250, 'currencyInContext']]);
+    assert.deepEqual(summarize(psaData.popData), [['PSA 10', 4521, 'popLabelText']]);
+
+    assert.deepEqual(psaData.parseInfo.fields.cardName, { strategy: null, confidence: 0 });
+    assert.deepEqual(psaData.parseInfo.fields.grade, { strategy: 'pageTextPattern', confidence: 0.5 });
+    assert.deepEqual(psaData.parseInfo.fields.priceData, { strategy: 'currencyInContext', confidence: 0.3 });
+    assert.deepEqual(psaData.parseInfo.fields.popData, { strategy: 'popLabelText', confidence: 0.4 });
+
+    // Every field is a guess, so the result must not be shown or cached
+    assert.equal(hasMeaningfulCertData(psaData), false);
+    assert.equal(isLowConfidencePopEntry(psaData.popData[0], psaData), true);
+});
+
+test('population found only by proximity is flagged as low confidence', () => {
+    const psaData = parseFixture('psa-cert-unlabelled-pop.html', '23456789');
+
+    assert.equal(psaData.grade, 'MINT 9');
+    assert.deepEqual(summarize(psaData.priceData), [
+        ['PSA 9', 90, 'priceTable'],
+        ['PSA 10', 1250, 'priceTable']
+    ]);
+    assert.deepEqual(summarize(psaData.popData), [['PSA 9', 2210, 'proximityScore']]);
+    assert.deepEqual(psaData.parseInfo.fields.popData, { strategy: 'proximityScore', confidence: 0.2 });
+
+    // The grade and prices are solid, so the cert is still usable
+    assert.equal(hasMeaningfulCertData(psaData), true);
+    assert.equal(isLowConfidencePopEntry(psaData.popData[0], psaData), true);
+
+    // Entries migrated from old cache data have no source; parseInfo decides then
+    const migrated = Object.assign({}, psaData.popData[0], { source: null });
+    assert.equal(isLowConfidencePopEntry(migrated, psaData), true);
+});
+
+test('numbers with no population keyword nearby are not taken as the population', () => {
+    const psaData = parseHTML(
+        '<html><body><div class="cert-grade-box">GEM MT 10</div>' +
+        '<ul><li><b>2018</b></li><li><b>350</b></li></ul></body></html>',
+        '12345678');
+
+    assert.deepEqual(psaData.popData, []);
+    assert.deepEqual(psaData.parseInfo.fields.popData, { strategy: null, confidence: 0 });
+});
+
+test('error page without cert data is not meaningful', () => {
+    const psaData = parseHTML('<html><body><h1>Something went wrong</h1></body></html>', '12345678');
+
+    assert.equal(psaData.cardName, 'Unknown Card');
+    assert.equal(psaData.grade, 'Unknown Grade');
+    assert.deepEqual(psaData.priceData, []);
+    assert.deepEqual(psaData.popData, []);
+    Object.keys(psaData.parseInfo.fields).forEach(field => {
+        assert.deepEqual(psaData.parseInfo.fields[field], { strategy: null, confidence: 0 }, field);
+    });
+    assert.equal(hasMeaningfulCertData(psaData), false);
+});
+
+test('data from parsers without parseInfo only needs a value', () => {
+    assert.equal(hasMeaningfulCertData({ grade: 'BGS 9.5', priceData: [], popData: [] }), true);
+    assert.equal(hasMeaningfulCertData({ grade: 'Unknown Grade', priceData: [], popData: [] }), false);
+});
@@ -0,0 +1,57 @@
+// Checks how RequestManager classifies grader responses. Run with `npm test`.
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const {
+    PSAParser,
+    hasMeaningfulCertData,
+    RequestManager,
+    FETCH_ERRORS
+} = require('../psa_certification.user.js');
+
+// The parser logs a summary line per cert
+mock.method(console, 'log', () => {});
+
+const CERT_URL = 'https://www.psacard.com/cert/12345678';
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+// Minimal GM_xmlhttpRequest response
+function createResponse(responseText, responseHeaders) {
+    return { status: 200, responseText: responseText, responseHeaders: responseHeaders || '', finalUrl: CERT_URL };
+}
+
+test('cert page with the Cloudflare beacon and a reCAPTCHA form is real content', () => {
+    const html = readFixture('psa-cert-with-beacon.html');
+
+    assert.equal(RequestManager.detectProblemPage(createResponse(html), CERT_URL), null);
+
+    const psaData = PSAParser.parseDocument(new JSDOM(html).window.document, '12345678');
+    assert.equal(psaData.grade, 'GEM MT 10');
+    assert.equal(hasMeaningfulCertData(psaData), true);
+});
+
+test('Cloudflare challenge page is reported as blocked', () => {
+    const error = RequestManager.detectProblemPage(createResponse(readFixture('cloudflare-challenge.html')), CERT_URL);
+
+    assert.equal(error.type, FETCH_ERRORS.BLOCKED);
+    assert.equal(error.status, 200);
+});
+
+test('challenge markers are recognized without a challenge title', () => {
+    const page = '<html><head><title>www.psacard.com</title></head><body>';
+    const cases = [
+        createResponse(page + '<script>window._cf_chl_opt = {};</script></body></html>'),
+        createResponse(page + '<form class="cf-chl-form" method="POST"></form></body></html>'),
+        createResponse(page + '</body></html>', 'content-type: text/html\r\ncf-mitigated: challenge\r\n')
+    ];
+
+    cases.forEach(response => {
+        assert.equal(RequestManager.detectProblemPage(response, CERT_URL).type, FETCH_ERRORS.BLOCKED);
+    });
+});